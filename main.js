@@ -4,19 +4,57 @@
  * interaction with the file system, and execution of the yt-dlp binary.
  * It securely exposes functionality to the renderer process via IPC.
  */
-const { app, BrowserWindow, ipcMain, dialog, session, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, session, shell, globalShortcut, Tray, Menu, nativeImage, screen } = require('electron');
 const path = require('path');
-const { execFile } = require('child_process'); // SECURITY: Use execFile instead of exec
+const { execFile, spawn } = require('child_process'); // SECURITY: Use execFile/spawn with argument arrays instead of exec
+const { pathToFileURL } = require('url');
 const fs = require('fs');
 const YTMusic = require('ytmusic-api');
 
+// Optional: only used for the Linux MPRIS integration, so a missing module must not break startup.
+let MprisPlayer = null;
+if (process.platform === 'linux') {
+    try { MprisPlayer = require('mpris-service'); } catch (error) { console.warn('[MPRIS] mpris-service is not available:', error.message); }
+}
+
 // --- INITIALIZATION ---
-const ytmusic = new YTMusic();
+let mainWindow = null;
+let mprisPlayer = null;
+let miniPlayerWindow = null;
+let tray = null;
+let lastMediaState = null; // Last now-playing state from the renderer, shown in the tray menu and mini-player
+let isQuitting = false; // Set once the app is really quitting, so closing the window isn't turned into hiding it
 let currentYtdlpVideoProcess = null;
+
+// When our own MPRIS service is available, turn off Chromium's built-in media controls on Linux
+// so the desktop doesn't show two MetroWave players.
+if (MprisPlayer) app.commandLine.appendSwitch('disable-features', 'HardwareMediaKeyHandling');
 const ytDlpBinary = process.platform === 'win32' ? 'yt-dlp.exe' : 'yt-dlp';
 const ytDlpPath = app.isPackaged
     ? path.join(process.resourcesPath, 'bin', ytDlpBinary) // Production path
     : path.join(__dirname, 'bin', ytDlpBinary);             // Development path
+const ffmpegBinary = process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg';
+const bundledFfmpegPath = path.join(path.dirname(ytDlpPath), ffmpegBinary);
+const ffmpegPath = fs.existsSync(bundledFfmpegPath) ? bundledFfmpegPath : ffmpegBinary; // Fall back to ffmpeg on PATH
+const libraryDir = path.join(app.getPath('userData'), 'library');
+const libraryIndexPath = path.join(libraryDir, 'index.json');
+const listeningHistoryPath = path.join(app.getPath('userData'), 'listening-history.jsonl');
+const userDataPath = path.join(app.getPath('userData'), 'user-data.json');
+const userDataBackupDir = path.join(app.getPath('userData'), 'backups');
+const USER_DATA_BACKUP_LIMIT = 7;
+const DEFAULT_DOWNLOAD_CONCURRENCY = 2;
+const LYRICS_CACHE_LIMIT = 200;
+const responseCachePath = path.join(app.getPath('userData'), 'response-cache.json');
+const RESPONSE_CACHE_VERSION = 1;
+const STREAM_EXPIRY_MARGIN_MS = 5 * 60 * 1000; // Matches the renderer, so a cached URL never expires mid-song
+const AUDIO_FORMATS = {
+    mp3: { name: 'MP3 Audio', canEmbedCover: true },
+    m4a: { name: 'M4A Audio', canEmbedCover: true },
+    opus: { name: 'Opus Audio', canEmbedCover: false }, // ffmpeg can't mux cover art into Ogg
+    flac: { name: 'FLAC Audio', canEmbedCover: true }
+};
+const AUDIO_BITRATES = [128, 192, 256, 320];
+let downloadOptions = { format: 'mp3', bitrate: 192 };
 // =========================================================================
 // --- DATA FORMATTING HELPERS ---
 // =========================================================================
@@ -27,155 +65,1705 @@ const getArtistNames = (item) => {
     if (item.author?.name) return [item.author.name];
     return [];
 };
-const formatSong = (item) => item?.videoId && item.name ? { id: item.videoId, title: item.name, artists: getArtistNames(item), thumbnails: item.thumbnails, album: item.album?.name, duration: item.duration, type: 'song' } : null;
-const formatVideo = (item) => item?.videoId && item.name ? { id: item.videoId, title: item.name, artists: getArtistNames(item), thumbnails: item.thumbnails, duration: item.duration, type: 'video' } : null;
-const formatAlbum = (item) => ({ browseId: item.albumId, title: item.name, artists: getArtistNames(item), year: item.year, thumbnails: item.thumbnails, type: 'album' });
-const formatPlaylist = (item) => ({ browseId: item.browseId || item.playlistId, title: item.name, author: item.author || 'Unknown', thumbnails: item.thumbnails, type: 'playlist' });
-const formatArtist = (item) => ({ browseId: item.artistId, name: item.name, thumbnails: item.thumbnails, type: 'artist' });
+const formatSong = (item) => item?.videoId && item.name ? { id: item.videoId, title: item.name, artists: getArtistNames(item), thumbnails: item.thumbnails, album: item.album?.name, duration: item.duration, type: 'song' } : null;
+const formatVideo = (item) => item?.videoId && item.name ? { id: item.videoId, title: item.name, artists: getArtistNames(item), thumbnails: item.thumbnails, duration: item.duration, type: 'video' } : null;
+const formatAlbum = (item) => ({ browseId: item.albumId, title: item.name, artists: getArtistNames(item), year: item.year, thumbnails: item.thumbnails, type: 'album' });
+const formatPlaylist = (item) => ({ browseId: item.browseId || item.playlistId, title: item.name, author: item.author || 'Unknown', thumbnails: item.thumbnails, type: 'playlist' });
+const formatArtist = (item) => ({ browseId: item.artistId, name: item.name, thumbnails: item.thumbnails, type: 'artist' });
+const formatArtistPage = (artist) => ({
+    browseId: artist.artistId,
+    name: artist.name,
+    thumbnails: artist.thumbnails,
+    topSongs: (artist.topSongs || []).map(formatSong).filter(Boolean),
+    albums: (artist.topAlbums || []).map(formatAlbum),
+    singles: (artist.topSingles || []).map(formatAlbum),
+    similarArtists: (artist.similarArtists || []).filter(a => a?.artistId).map(formatArtist),
+    type: 'artist'
+});
+
+// =========================================================================
+// --- API HELPERS ---
+// =========================================================================
+const DEFAULT_API_LANGUAGE = 'en';
+
+/**
+ * One ytmusic-api client per region and language, as a promise that resolves once it is
+ * initialized. `initialize` is a network round-trip, so it runs once per client, and
+ * callers that arrive while it is still running wait for the same promise.
+ */
+const apiClients = new Map(); // 'GL|HL' -> Promise<YTMusic>
+
+const getApiLanguage = () => getUserDataStore().data.userLanguagePref || DEFAULT_API_LANGUAGE;
+
+/**
+ * Identifies the region and language results are fetched in, for cache keys.
+ */
+const getApiLocaleKey = (countryCode) => `${countryCode || 'US'}|${getApiLanguage()}`;
+
+/**
+ * Returns the initialized client for a region in the user's language.
+ * @returns {Promise<YTMusic>}
+ */
+const initializeApi = (countryCode = 'US') => {
+    const GL = countryCode || 'US';
+    const HL = getApiLanguage();
+    const key = `${GL}|${HL}`;
+    if (!apiClients.has(key)) {
+        const client = new YTMusic();
+        apiClients.set(key, client.initialize({ GL, HL }).then(() => client).catch(error => {
+            apiClients.delete(key); // The next request tries again
+            throw error;
+        }));
+    }
+    return apiClients.get(key);
+};
+
+// =========================================================================
+// --- PAGED SEARCH ---
+// =========================================================================
+
+/**
+ * ytmusic-api only returns the first page of search results, so paged search talks to
+ * the search endpoint through its request helper and parses the result shelves here.
+ * The params are the filters YouTube Music itself sends for each search results tab.
+ *
+ * None of this is public API: `constructRequest` is ytmusic-api's private helper and the
+ * raw innertube JSON can change shape at any time, so a library or YouTube update can
+ * break it without an error. searchPage falls back to ytmusic-api's own search when it does.
+ */
+const SEARCH_TYPES = ['songs', 'videos', 'albums', 'playlists', 'artists'];
+const SEARCH_FILTER_PARAMS = {
+    songs: 'Eg-KAQwIARAAGAAgACgAMABqChAEEAMQCRAFEAo%3D',
+    videos: 'Eg-KAQwIABABGAAgACgAMABqChAEEAMQCRAFEAo%3D',
+    albums: 'Eg-KAQwIABAAGAEgACgAMABqChAEEAMQCRAFEAo%3D',
+    playlists: 'Eg-KAQwIABAAGAAgACgBMABqChAEEAMQCRAFEAo%3D',
+    artists: 'Eg-KAQwIABAAGAAgASgAMABqChAEEAMQCRAFEAo%3D'
+};
+
+const collectByKey = (node, key, results = []) => {
+    if (Array.isArray(node)) node.forEach(child => collectByKey(child, key, results));
+    else if (node && typeof node === 'object') {
+        for (const [childKey, value] of Object.entries(node)) {
+            if (childKey === key) results.push(value);
+            else collectByKey(value, key, results);
+        }
+    }
+    return results;
+};
+
+const getFlexColumnRuns = (renderer, column) => renderer.flexColumns?.[column]?.musicResponsiveListItemFlexColumnRenderer?.text?.runs || [];
+const getRunPageType = (run) => run?.navigationEndpoint?.browseEndpoint?.browseEndpointContextSupportedConfigs?.browseEndpointContextMusicConfig?.pageType;
+const parseDurationText = (text) => text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+const SEARCH_RESULT_LABELS = ['Song', 'Video', 'Album', 'Single', 'EP', 'Playlist', 'Artist', 'Episode', 'Podcast'];
+
+/**
+ * Turns one search result row into the same shape formatSong/formatAlbum/... produce.
+ */
+const parseSearchResult = (type, renderer) => {
+    const title = getFlexColumnRuns(renderer, 0)[0]?.text;
+    const details = (renderer.flexColumns || []).slice(1).flatMap((column, i) => getFlexColumnRuns(renderer, i + 1));
+    // Plain text parts of the subtitle, e.g. "Song • Artist • Album • 3:12" without the separators.
+    const detailTexts = details.map(run => run.text.trim()).filter(text => text && !['•', '&', ','].includes(text));
+    const thumbnails = renderer.thumbnail?.musicThumbnailRenderer?.thumbnail?.thumbnails || [];
+    const artistRuns = details.filter(run => ['MUSIC_PAGE_TYPE_ARTIST', 'MUSIC_PAGE_TYPE_USER_CHANNEL'].includes(getRunPageType(run)));
+    const artists = artistRuns.length
+        ? artistRuns.map(run => run.text)
+        : detailTexts.filter(text => !SEARCH_RESULT_LABELS.includes(text)).slice(0, 1);
+    const browseId = renderer.navigationEndpoint?.browseEndpoint?.browseId;
+
+    switch (type) {
+        case 'songs':
+        case 'videos': {
+            const videoId = renderer.playlistItemData?.videoId || getFlexColumnRuns(renderer, 0)[0]?.navigationEndpoint?.watchEndpoint?.videoId;
+            if (!videoId || !title) return null;
+            const durationText = detailTexts.find(text => /^\d+(:\d{2})+$/.test(text));
+            const song = { id: videoId, title, artists, thumbnails, duration: durationText ? parseDurationText(durationText) : null, type: type === 'songs' ? 'song' : 'video' };
+            if (type === 'songs') song.album = details.find(run => getRunPageType(run) === 'MUSIC_PAGE_TYPE_ALBUM')?.text;
+            return song;
+        }
+        case 'albums':
+            return browseId && title ? { browseId, title, artists, year: Number(detailTexts.find(text => /^\d{4}$/.test(text))) || null, thumbnails, type: 'album' } : null;
+        case 'playlists':
+            return browseId && title ? { browseId: browseId.replace(/^VL/, ''), title, author: artists[0] || 'Unknown', thumbnails, type: 'playlist' } : null;
+        case 'artists':
+            return browseId && title ? { browseId, name: title, thumbnails, type: 'artist' } : null;
+        default:
+            return null;
+    }
+};
+
+let hasLoggedSearchFallback = false;
+
+/**
+ * Fetches one page of a filtered search. Without a continuation token it returns the
+ * first page. If the raw request fails or its first page can't be parsed, falls back to
+ * ytmusic-api's own first page, logging that once so a broken parser doesn't go unnoticed.
+ */
+const searchPage = async (ytmusic, query, type, continuation = null) => {
+    try {
+        const body = { query, params: SEARCH_FILTER_PARAMS[type] };
+        const data = continuation
+            ? await ytmusic.constructRequest('search', body, { ctoken: continuation, continuation, type: 'next' })
+            : await ytmusic.constructRequest('search', body);
+        const items = collectByKey(data, 'musicResponsiveListItemRenderer').map(renderer => parseSearchResult(type, renderer)).filter(Boolean);
+        const next = collectByKey(data, 'nextContinuationData')[0]?.continuation
+            || collectByKey(data, 'continuationCommand')[0]?.token
+            || null;
+        if (!continuation && items.length === 0) throw new Error('No results could be parsed from the search response.');
+        return { items, continuation: items.length ? next : null };
+    } catch (error) {
+        if (continuation) throw error;
+        if (!hasLoggedSearchFallback) {
+            hasLoggedSearchFallback = true;
+            console.error(`[API ERROR] Paged ${type} search failed, falling back to ytmusic-api's first page only:`, error);
+        }
+        switch (type) {
+            case 'songs': return { items: (await ytmusic.searchSongs(query)).map(formatSong).filter(Boolean), continuation: null };
+            case 'videos': return { items: (await ytmusic.searchVideos(query)).map(formatVideo).filter(Boolean), continuation: null };
+            case 'albums': return { items: (await ytmusic.searchAlbums(query)).map(formatAlbum), continuation: null };
+            case 'playlists': return { items: (await ytmusic.searchPlaylists(query)).map(formatPlaylist), continuation: null };
+            case 'artists': return { items: (await ytmusic.searchArtists(query)).map(formatArtist), continuation: null };
+            default: return { items: [], continuation: null };
+        }
+    }
+};
+
+// =========================================================================
+// --- RESPONSE CACHE ---
+// =========================================================================
+
+/**
+ * How long each kind of response is kept and how many are kept. Stream URLs expire
+ * at their googlevideo `expire` time (`ttl` is only a fallback) and are never written to disk.
+ */
+const CACHE_POLICIES = {
+    stream: { ttl: 60 * 60 * 1000, maxEntries: 300, persist: false },
+    home: { ttl: 30 * 60 * 1000, maxEntries: 20, persist: true },
+    search: { ttl: 15 * 60 * 1000, maxEntries: 100, persist: true },
+    browse: { ttl: 6 * 60 * 60 * 1000, maxEntries: 200, persist: true }
+};
+
+/**
+ * Reads the expiry time from a googlevideo stream URL's `expire` parameter.
+ * @returns {number|null} The expiry as a millisecond timestamp, or null if the URL has none.
+ */
+const getStreamExpiry = (url) => {
+    try {
+        const expire = Number(new URL(url).searchParams.get('expire'));
+        return expire ? expire * 1000 - STREAM_EXPIRY_MARGIN_MS : null;
+    } catch (error) { return null; }
+};
+
+/**
+ * An in-memory LRU cache per data type, with metadata optionally kept on disk between
+ * runs. Each type's Map is kept in use order, least recently used first.
+ */
+class ResponseCache {
+    constructor(policies) {
+        this.policies = policies;
+        this.stores = new Map(Object.keys(policies).map(type => [type, new Map()])); // type -> key -> { value, expiresAt, size }
+        this.inFlight = new Map(); // `${type}|${key}` -> promise, so simultaneous misses share one fetch
+        this.isLoaded = false;
+        this.writeTimer = null;
+    }
+
+    get isPersistent() { return getUserDataStore().data.userPersistCachePref !== false; }
+
+    get(type, key) {
+        this.load();
+        const store = this.stores.get(type);
+        const entry = store.get(key);
+        if (!entry) return undefined;
+        store.delete(key);
+        if (entry.expiresAt <= Date.now()) return undefined;
+        store.set(key, entry);
+        return entry.value;
+    }
+
+    set(type, key, value, expiresAt = Date.now() + this.policies[type].ttl) {
+        this.load();
+        const store = this.stores.get(type);
+        store.delete(key);
+        store.set(key, { value, expiresAt, size: Buffer.byteLength(JSON.stringify(value)) });
+        while (store.size > this.policies[type].maxEntries) store.delete(store.keys().next().value);
+        if (this.policies[type].persist) this.scheduleWrite();
+    }
+
+    /**
+     * Returns the cached value, or fetches and caches it. Nothing is cached when `fetch`
+     * returns null or throws, so failures are retried on the next call.
+     * @param {{refresh?: boolean, getExpiresAt?: function(any): (number|null)}} [options]
+     */
+    async getOrFetch(type, key, fetch, { refresh = false, getExpiresAt } = {}) {
+        if (!refresh) {
+            const cached = this.get(type, key);
+            if (cached !== undefined) return cached;
+        }
+        const flightKey = `${type}|${key}`;
+        if (this.inFlight.has(flightKey)) return this.inFlight.get(flightKey);
+        const promise = (async () => {
+            const value = await fetch();
+            if (value !== null && value !== undefined) this.set(type, key, value, getExpiresAt?.(value) ?? undefined);
+            return value;
+        })().finally(() => this.inFlight.delete(flightKey));
+        this.inFlight.set(flightKey, promise);
+        return promise;
+    }
+
+    stats() {
+        this.load();
+        const now = Date.now();
+        let entries = 0;
+        let bytes = 0;
+        for (const store of this.stores.values()) {
+            for (const entry of store.values()) {
+                if (entry.expiresAt <= now) continue;
+                entries++;
+                bytes += entry.size;
+            }
+        }
+        return { entries, bytes, isPersistent: this.isPersistent };
+    }
+
+    clear() {
+        this.stores.forEach(store => store.clear());
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        try { fs.rmSync(responseCachePath, { force: true }); } catch (error) { console.error('[CACHE ERROR] Failed to delete the cache file:', error); }
+    }
+
+    setPersistent(enabled) {
+        if (enabled) return this.writeNow();
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        try { fs.rmSync(responseCachePath, { force: true }); } catch (error) { console.error('[CACHE ERROR] Failed to delete the cache file:', error); }
+    }
+
+    /**
+     * Reads the persisted metadata on first use. An unreadable file is simply ignored.
+     */
+    load() {
+        if (this.isLoaded) return;
+        this.isLoaded = true;
+        if (!this.isPersistent) return;
+        try {
+            const stored = JSON.parse(fs.readFileSync(responseCachePath, 'utf-8'));
+            if (stored?.version !== RESPONSE_CACHE_VERSION) return;
+            const now = Date.now();
+            for (const [type, entries] of Object.entries(stored.entries || {})) {
+                if (!this.policies[type]?.persist || !Array.isArray(entries)) continue;
+                const store = this.stores.get(type);
+                for (const [key, entry] of entries) {
+                    if (typeof key === 'string' && entry?.expiresAt > now) store.set(key, { ...entry, size: Buffer.byteLength(JSON.stringify(entry.value)) });
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('[CACHE] Ignoring unreadable response cache:', error.message);
+        }
+    }
+
+    scheduleWrite() {
+        if (this.isPersistent && !this.writeTimer) this.writeTimer = setTimeout(() => this.writeNow(), 5000);
+    }
+
+    writeNow() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        if (!this.isLoaded || !this.isPersistent) return;
+        const now = Date.now();
+        const entries = Object.fromEntries([...this.stores]
+            .filter(([type]) => this.policies[type].persist)
+            .map(([type, store]) => [type, [...store]
+                .filter(([, entry]) => entry.expiresAt > now)
+                .map(([key, { value, expiresAt }]) => [key, { value, expiresAt }])]));
+        try {
+            const tempPath = `${responseCachePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ version: RESPONSE_CACHE_VERSION, entries }));
+            fs.renameSync(tempPath, responseCachePath);
+        } catch (error) {
+            console.error('[CACHE ERROR] Failed to write the response cache:', error);
+        }
+    }
+}
+
+const responseCache = new ResponseCache(CACHE_POLICIES);
+
+ipcMain.handle('get-cache-stats', () => responseCache.stats());
+
+ipcMain.handle('clear-cache', () => {
+    responseCache.clear();
+    lyricsCache.clear();
+    return responseCache.stats();
+});
+
+ipcMain.on('set-cache-persistence', (event, enabled) => responseCache.setPersistent(enabled === true));
+
+// =========================================================================
+// --- IPC API HANDLERS ---
+// =========================================================================
+
+/**
+ * Fetches sections for the Home/Explore page.
+ * NOTE: This function correctly loads all available sections from the API
+ * while filtering out known problematic "radio" playlists, ensuring the
+ * Explore page populates with content as intended.
+ */
+ipcMain.handle('get-home-sections', async (event, countryCode) => {
+    try {
+        return await responseCache.getOrFetch('home', getApiLocaleKey(countryCode), async () => {
+            const ytmusic = await initializeApi(countryCode);
+            const sections = await ytmusic.getHomeSections();
+
+            // This logic shows all sections but intelligently filters out the broken items.
+            return sections.map(section => {
+                if (!section?.contents) return null;
+
+                // This filter specifically removes the problematic "radio" playlists.
+                const filteredContents = section.contents.filter(item => {
+                    return !(item?.playlistId?.startsWith('RD'));
+                });
+
+                const contents = filteredContents.map(item => {
+                    if (!item) return null;
+                    switch (item.type) {
+                        case 'SONG': return formatSong(item);
+                        case 'VIDEO': return formatVideo(item);
+                        case 'ALBUM': return formatAlbum(item);
+                        case 'PLAYLIST': return formatPlaylist(item);
+                        case 'ARTIST': return formatArtist(item);
+                        default: return null;
+                    }
+                }).filter(Boolean);
+
+                if (contents.length === 0) return null;
+                return { title: section.title, contents };
+            }).filter(Boolean);
+        });
+    } catch (error) {
+        console.error('[API ERROR] Failed to get home sections:', error);
+        return [];
+    }
+});
+
+ipcMain.handle('get-search-suggestions', async (event, query, countryCode) => {
+    if (!query) return [];
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        return await ytmusic.getSearchSuggestions(query);
+    } catch (error) { 
+        console.error('[API ERROR] Failed to get search suggestions:', error);
+        return []; 
+    }
+});
+
+/**
+ * Searches every result type at once for the "All" tab. Each type comes back as
+ * `{ items, continuation }` so its tab can keep loading pages with 'search-more'.
+ */
+ipcMain.handle('search-youtube', async (event, query, countryCode) => {
+    const emptyPage = { items: [], continuation: null };
+    if (!query) return Object.fromEntries(SEARCH_TYPES.map(type => [type, emptyPage]));
+    const cacheKey = `${getApiLocaleKey(countryCode)}|${query}`;
+    const cached = responseCache.get('search', cacheKey);
+    if (cached) return cached;
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        let hasFailed = false;
+        const pages = await Promise.all(SEARCH_TYPES.map(type => searchPage(ytmusic, query, type).catch(error => {
+            hasFailed = true;
+            console.error(`[API ERROR] Error during ${type} search:`, error);
+            return emptyPage;
+        })));
+        const results = Object.fromEntries(SEARCH_TYPES.map((type, i) => [type, pages[i]]));
+        if (!hasFailed) responseCache.set('search', cacheKey, results); // A partial result is retried next time
+        return results;
+    } catch (error) {
+        console.error('[API ERROR] Error during search:', error);
+        return Object.fromEntries(SEARCH_TYPES.map(type => [type, emptyPage]));
+    }
+});
+
+ipcMain.handle('search-more', async (event, query, type, continuation, countryCode) => {
+    if (!query || !SEARCH_TYPES.includes(type) || !continuation) return { items: [], continuation: null };
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        return await searchPage(ytmusic, query, type, continuation);
+    } catch (error) {
+        console.error(`[API ERROR] Failed to load more ${type} for "${query}":`, error);
+        return { items: [], continuation: null };
+    }
+});
+
+/**
+ * Fetches details for an album or playlist.
+ * NOTE: This will gracefully fail (return null) for "radio" playlists (IDs starting with 'RD'),
+ * preventing the application from crashing.
+ */
+ipcMain.handle('get-browse-details', async (event, { id, type }, countryCode, { refresh = false } = {}) => {
+    if (!id || (type !== 'album' && type !== 'playlist')) return null;
+    try {
+        return await responseCache.getOrFetch('browse', `${getApiLocaleKey(countryCode)}|${type}|${id}`, async () => {
+            const ytmusic = await initializeApi(countryCode);
+            if (type === 'album') {
+                const album = await ytmusic.getAlbum(id);
+                return { title: album.name, thumbnails: album.thumbnails, artist: album.artist?.name || 'Various Artists', tracks: (album.songs || []).map(formatSong).filter(Boolean) };
+            }
+            // getPlaylist only returns the playlist's details; its tracks come from getPlaylistVideos.
+            const [playlist, videos] = await Promise.all([ytmusic.getPlaylist(id), ytmusic.getPlaylistVideos(id)]);
+            return { title: playlist.name, thumbnails: playlist.thumbnails, artist: playlist.artist?.name || 'Various Artists', tracks: videos.map(formatVideo).filter(Boolean) };
+        }, { refresh });
+    } catch (error) {
+        console.error(`[API ERROR] Failed to get browse details for ${type} with ID ${id}:`, error);
+        return null;
+    }
+});
+
+/**
+ * Fetches an artist's page: top songs, albums, singles and similar artists.
+ */
+ipcMain.handle('get-artist-details', async (event, artistId, countryCode) => {
+    if (!artistId) return null;
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        const artist = await ytmusic.getArtist(artistId);
+        return artist ? formatArtistPage(artist) : null;
+    } catch (error) {
+        console.error(`[API ERROR] Failed to get artist details for ${artistId}:`, error);
+        return null;
+    }
+});
+
+/**
+ * Fetches every song of an artist, used for "Play All".
+ */
+ipcMain.handle('get-artist-songs', async (event, artistId, countryCode) => {
+    if (!artistId) return [];
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        const songs = await ytmusic.getArtistSongs(artistId);
+        return songs.map(formatSong).filter(Boolean);
+    } catch (error) {
+        console.error(`[API ERROR] Failed to get songs for artist ${artistId}:`, error);
+        return [];
+    }
+});
+
+/**
+ * Fetches the full album discography of an artist.
+ */
+ipcMain.handle('get-artist-albums', async (event, artistId, countryCode) => {
+    if (!artistId) return [];
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        const albums = await ytmusic.getArtistAlbums(artistId);
+        return albums.map(formatAlbum);
+    } catch (error) {
+        console.error(`[API ERROR] Failed to get albums for artist ${artistId}:`, error);
+        return [];
+    }
+});
+
+ipcMain.handle('get-up-nexts', async (event, videoId, countryCode) => {
+    if (!videoId) return [];
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        const upNexts = await ytmusic.getUpNexts(videoId);
+        return Array.isArray(upNexts) ? upNexts.map(song => ({
+            id: song.videoId, title: song.title, artists: song.artists,
+            thumbnails: [{ url: song.thumbnail }], duration: song.duration, type: 'song'
+        })).filter(Boolean) : [];
+    } catch (error) {
+        console.error(`[API ERROR] Failed to get up nexts for ${videoId}:`, error);
+        return [];
+    }
+});
+
+// =========================================================================
+// --- DOWNLOAD FORMATS & METADATA TAGGING ---
+// =========================================================================
+
+/**
+ * Builds the yt-dlp arguments that extract audio in the chosen format and bitrate.
+ */
+const getAudioExtractionArgs = ({ format, bitrate }) => {
+    const args = ['-f', 'bestaudio', '--extract-audio', '--audio-format', format];
+    if (format !== 'flac') args.push('--audio-quality', `${bitrate}K`); // FLAC is lossless
+    return args;
+};
+
+const getBestThumbnailUrl = (thumbnails) => {
+    if (!Array.isArray(thumbnails) || thumbnails.length === 0) return null;
+    const best = thumbnails.reduce((a, b) => ((b.width || 0) * (b.height || 0) > (a.width || 0) * (a.height || 0) ? b : a));
+    // YouTube Music artwork URLs encode their size, so ask for a large square cover instead.
+    return best.url?.replace(/=w\d+-h\d+/, '=w1200-h1200') || null;
+};
+
+const runFfmpeg = (args) => new Promise((resolve, reject) => {
+    execFile(ffmpegPath, args, (err) => err ? reject(err) : resolve());
+});
+
+/**
+ * Writes title, artist, album and length tags plus the front cover into a
+ * downloaded file, using the song object the renderer sent along. MP3 files get
+ * ID3v2.3 tags. Tagging failures are logged and never fail the download itself.
+ * SECURITY: Uses execFile so tag values are passed to ffmpeg as plain arguments.
+ */
+const tagAudioFile = async (filePath, song) => {
+    if (!song) return;
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    const tempPath = `${filePath}.tagging.${extension}`;
+    const coverPath = `${filePath}.cover.jpg`;
+    let hasCover = false;
+
+    const coverUrl = AUDIO_FORMATS[extension]?.canEmbedCover ? getBestThumbnailUrl(song.thumbnails) : null;
+    if (coverUrl) {
+        try {
+            const response = await fetch(coverUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            fs.writeFileSync(coverPath, Buffer.from(await response.arrayBuffer()));
+            hasCover = true;
+        } catch (error) {
+            console.error(`[TAG ERROR] Could not fetch cover art for ${song.id}:`, error);
+        }
+    }
+
+    const args = ['-y', '-i', filePath];
+    if (hasCover) {
+        args.push('-i', coverPath, '-map', '0:a', '-map', '1:0', '-disposition:v:0', 'attached_pic',
+            '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+    } else {
+        args.push('-map', '0:a');
+    }
+    args.push('-c', 'copy', '-map_metadata', '-1',
+        '-metadata', `title=${song.title || ''}`,
+        '-metadata', `artist=${(song.artists || []).join(', ')}`);
+    if (song.album) args.push('-metadata', `album=${song.album}`);
+    if (extension === 'mp3') {
+        args.push('-id3v2_version', '3');
+        if (song.duration) args.push('-metadata', `TLEN=${Math.round(song.duration * 1000)}`);
+    }
+    args.push(tempPath);
+
+    try {
+        await runFfmpeg(args);
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        console.error(`[TAG ERROR] Failed to tag ${filePath}:`, error);
+        fs.rmSync(tempPath, { force: true });
+    } finally {
+        if (hasCover) fs.rmSync(coverPath, { force: true });
+    }
+};
+
+ipcMain.on('set-download-options', (event, options) => {
+    if (AUDIO_FORMATS[options?.format]) downloadOptions.format = options.format;
+    if (AUDIO_BITRATES.includes(Number(options?.bitrate))) downloadOptions.bitrate = Number(options.bitrate);
+});
+
+// =========================================================================
+// --- OFFLINE LIBRARY ---
+// =========================================================================
+
+/**
+ * The library index maps each downloaded videoId to its file and song metadata.
+ * It is kept in memory and written back to `library/index.json` on every change.
+ */
+let libraryIndex = null;
+
+const getLibraryIndex = () => {
+    if (libraryIndex) return libraryIndex;
+    try {
+        libraryIndex = JSON.parse(fs.readFileSync(libraryIndexPath, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('[LIBRARY ERROR] Failed to read library index:', error);
+        libraryIndex = {};
+    }
+    return libraryIndex;
+};
+
+const saveLibraryIndex = () => {
+    try {
+        fs.mkdirSync(libraryDir, { recursive: true });
+        const tempPath = `${libraryIndexPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(libraryIndex, null, 2));
+        fs.renameSync(tempPath, libraryIndexPath);
+    } catch (error) {
+        console.error('[LIBRARY ERROR] Failed to write library index:', error);
+    }
+};
+
+/**
+ * Returns the library entry for a video if its file is still on disk.
+ */
+const getLibraryEntry = (videoId) => {
+    const entry = getLibraryIndex()[videoId];
+    if (!entry) return null;
+    if (!fs.existsSync(path.join(libraryDir, entry.fileName))) {
+        delete libraryIndex[videoId];
+        saveLibraryIndex();
+        return null;
+    }
+    return entry;
+};
+
+const removeLibraryFiles = (videoId) => {
+    try {
+        fs.readdirSync(libraryDir)
+            .filter(fileName => fileName.startsWith(`${videoId}.`))
+            .forEach(fileName => fs.unlinkSync(path.join(libraryDir, fileName)));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`[LIBRARY ERROR] Failed to remove files for ${videoId}:`, error);
+    }
+};
+
+// =========================================================================
+// --- DOWNLOAD MANAGER ---
+// =========================================================================
+
+/**
+ * Queues yt-dlp downloads into the library folder, runs a limited number at a time
+ * and reports per-item progress to every window through 'download-progress'.
+ */
+class DownloadManager {
+    constructor(maxConcurrent = DEFAULT_DOWNLOAD_CONCURRENCY) {
+        this.items = new Map(); // videoId -> { song, status, progress, error, process }
+        this.maxConcurrent = maxConcurrent;
+    }
+
+    get activeCount() {
+        return [...this.items.values()].filter(item => item.status === 'downloading' || item.status === 'processing').length;
+    }
+
+    toPublic(item) {
+        return { id: item.song.id, song: item.song, status: item.status, progress: item.progress, error: item.error || null };
+    }
+
+    list() { return [...this.items.values()].map(item => this.toPublic(item)); }
+
+    broadcast(item) {
+        const update = this.toPublic(item);
+        BrowserWindow.getAllWindows().forEach(window => window.webContents.send('download-progress', update));
+    }
+
+    setConcurrency(limit) {
+        this.maxConcurrent = Math.max(1, Math.min(Number(limit) || DEFAULT_DOWNLOAD_CONCURRENCY, 5));
+        this.processQueue();
+    }
+
+    enqueue(songs) {
+        for (const song of songs) {
+            if (!song?.id) continue;
+            const existing = this.items.get(song.id);
+            if (existing && ['queued', 'downloading', 'processing'].includes(existing.status)) continue;
+            const item = { song, status: 'queued', progress: 0, error: null, process: null, options: { ...downloadOptions } };
+            if (getLibraryEntry(song.id)) {
+                item.status = 'completed';
+                item.progress = 100;
+            }
+            this.items.set(song.id, item);
+            this.broadcast(item);
+        }
+        this.processQueue();
+        return this.list();
+    }
+
+    processQueue() {
+        for (const item of this.items.values()) {
+            if (this.activeCount >= this.maxConcurrent) break;
+            if (item.status === 'queued') this.start(item);
+        }
+    }
+
+    /**
+     * SECURITY: Uses spawn with an argument array (no shell) so progress can be streamed.
+     */
+    start(item) {
+        const { song } = item;
+        fs.mkdirSync(libraryDir, { recursive: true });
+        const args = [
+            ...getAudioExtractionArgs(item.options), '--newline', '--no-playlist',
+            '-o', path.join(libraryDir, `${song.id}.%(ext)s`),
+            `https://www.youtube.com/watch?v=${song.id}`
+        ];
+        item.status = 'downloading';
+        item.progress = 0;
+        item.error = null;
+        this.broadcast(item);
+
+        const child = spawn(ytDlpPath, args, { windowsHide: true });
+        item.process = child;
+        let stderr = '';
+
+        child.stdout.on('data', (chunk) => {
+            for (const line of chunk.toString().split(/\r?\n/)) {
+                const match = line.match(/\[download\]\s+(\d+(?:\.\d+)?)%/);
+                if (match) {
+                    item.progress = Math.min(100, parseFloat(match[1]));
+                    this.broadcast(item);
+                } else if (line.startsWith('[ExtractAudio]') && item.status === 'downloading') {
+                    item.status = 'processing';
+                    this.broadcast(item);
+                }
+            }
+        });
+        child.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
+        child.on('error', (error) => this.finish(item, error));
+        child.on('close', (code) => this.finish(item, code === 0 ? null : new Error(stderr.trim().split('\n').pop() || `yt-dlp exited with code ${code}`)));
+    }
+
+    finish(item, error) {
+        if (!item.process) return; // Already finished (e.g. 'error' followed by 'close')
+        item.process = null;
+        if (item.status === 'canceled') {
+            removeLibraryFiles(item.song.id);
+        } else if (error) {
+            console.error(`[YTDLP DOWNLOAD ERROR] for ${item.song.id}:`, error);
+            item.status = 'failed';
+            item.error = error.message;
+            removeLibraryFiles(item.song.id);
+        } else {
+            this.completeDownload(item);
+            return;
+        }
+        this.broadcast(item);
+        this.processQueue();
+    }
+
+    /**
+     * Tags the finished file and records it in the library index.
+     */
+    async completeDownload(item) {
+        const { id, title, artists, album, duration, thumbnails } = item.song;
+        const fileName = `${id}.${item.options.format}`;
+        item.status = 'processing';
+        this.broadcast(item);
+        await tagAudioFile(path.join(libraryDir, fileName), item.song);
+
+        if (item.status === 'canceled') {
+            removeLibraryFiles(id);
+        } else {
+            getLibraryIndex()[id] = { id, title, artists, album, duration, thumbnails, type: 'song', fileName, downloadedAt: Date.now() };
+            saveLibraryIndex();
+            item.status = 'completed';
+            item.progress = 100;
+        }
+        this.broadcast(item);
+        this.processQueue();
+    }
+
+    cancel(videoId) {
+        const item = this.items.get(videoId);
+        if (!item || !['queued', 'downloading', 'processing'].includes(item.status)) return false;
+        item.status = 'canceled';
+        if (item.process) item.process.kill();
+        else this.broadcast(item);
+        return true;
+    }
+
+    retry(videoId) {
+        const item = this.items.get(videoId);
+        if (!item || !['failed', 'canceled'].includes(item.status)) return false;
+        item.status = 'queued';
+        item.progress = 0;
+        item.error = null;
+        this.broadcast(item);
+        this.processQueue();
+        return true;
+    }
+
+    clearFinished() {
+        for (const [id, item] of this.items) {
+            if (['completed', 'canceled'].includes(item.status)) this.items.delete(id);
+        }
+        return this.list();
+    }
+}
+
+const downloadManager = new DownloadManager();
+
+ipcMain.handle('enqueue-downloads', (event, songs) => downloadManager.enqueue(Array.isArray(songs) ? songs : []));
+ipcMain.handle('get-downloads', () => downloadManager.list());
+ipcMain.handle('cancel-download', (event, videoId) => downloadManager.cancel(videoId));
+ipcMain.handle('retry-download', (event, videoId) => downloadManager.retry(videoId));
+ipcMain.handle('clear-finished-downloads', () => downloadManager.clearFinished());
+ipcMain.on('set-download-concurrency', (event, limit) => downloadManager.setConcurrency(limit));
+
+ipcMain.handle('get-library', () => {
+    return Object.keys(getLibraryIndex()).map(getLibraryEntry).filter(Boolean)
+        .sort((a, b) => b.downloadedAt - a.downloadedAt);
+});
+
+ipcMain.handle('delete-library-track', (event, videoId) => {
+    if (!getLibraryIndex()[videoId]) return false;
+    delete libraryIndex[videoId];
+    saveLibraryIndex();
+    removeLibraryFiles(videoId);
+    downloadManager.items.delete(videoId);
+    lyricsCache.delete(videoId);
+    return true;
+});
+
+// =========================================================================
+// --- USER DATA STORE ---
+// =========================================================================
+
+/**
+ * Liked songs, playlists, history and preferences live in `user-data.json` as
+ * `{ version, data }`. The renderer keeps a copy in memory and sends each change back;
+ * writes are batched and go through a temp file so a crash can't leave a half-written store.
+ */
+const USER_DATA_VERSION = 1;
+
+// The keys the store accepts and the type each value must have.
+const USER_DATA_TYPES = {
+    likedSongs: 'array',
+    userPlaylists: 'array',
+    recentlyPlayed: 'array',
+    songPlayStats: 'object',
+    playbackSession: 'object',
+    userKeymapPref: 'object',
+    userCountryPref: 'string',
+    userThemePref: 'string',
+    userAnimationsPref: 'boolean',
+    userTransitionPref: 'string',
+    userCrossfadePref: 'number',
+    userDownloadConcurrencyPref: 'number',
+    userDownloadFormatPref: 'string',
+    userDownloadBitratePref: 'number',
+    userCloseToTrayPref: 'boolean',
+    userPersistCachePref: 'boolean',
+    userLanguagePref: 'string',
+    miniPlayerAlwaysOnTop: 'boolean',
+    windowBounds: 'object',
+    userAudioSettingsPref: 'object',
+    userEqPresets: 'array',
+    songAudioSettings: 'object'
+};
+
+const matchesUserDataType = (value, type) => {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'number') return Number.isFinite(value);
+    return typeof value === type;
+};
+
+/**
+ * Turns a raw localStorage string into a typed value, or undefined if it can't be read.
+ */
+const parseLegacyValue = (key, raw) => {
+    const type = USER_DATA_TYPES[key];
+    if (!type || typeof raw !== 'string') return undefined;
+    if (type === 'string') return raw;
+    if (type === 'boolean') return raw === 'true';
+    if (type === 'number') return Number.isFinite(Number(raw)) && raw !== '' ? Number(raw) : undefined;
+    try {
+        const value = JSON.parse(raw);
+        return matchesUserDataType(value, type) ? value : undefined;
+    } catch (error) {
+        console.warn(`[STORE] Dropping unreadable legacy value for "${key}".`);
+        return undefined;
+    }
+};
+
+/**
+ * Each migration upgrades the data from the version before it. Version 0 is the raw
+ * localStorage strings the renderer hands over on the first launch with the store.
+ */
+const USER_DATA_MIGRATIONS = [
+    {
+        version: 1,
+        migrate: (data) => Object.fromEntries(Object.entries(data)
+            .map(([key, raw]) => [key, parseLegacyValue(key, raw)])
+            .filter(([, value]) => value !== undefined))
+    }
+];
+
+let userDataStore = null; // { version, data, isNew }
+let userDataWriteTimer = null;
+
+/**
+ * Drops unknown keys and values of the wrong type, so one bad value can't break startup.
+ */
+const sanitizeUserData = (data) => Object.fromEntries(Object.entries(data || {}).filter(([key, value]) => {
+    if (key in USER_DATA_TYPES && matchesUserDataType(value, USER_DATA_TYPES[key])) return true;
+    console.warn(`[STORE] Dropping invalid value for "${key}".`);
+    return false;
+}));
+
+const migrateUserData = ({ version = 0, data = {} }) => {
+    if (version > USER_DATA_VERSION) {
+        console.warn(`[STORE] user-data.json is from a newer version (${version}); loading it as is.`);
+        return { version, data: sanitizeUserData(data) };
+    }
+    for (const migration of USER_DATA_MIGRATIONS) {
+        if (migration.version <= version) continue;
+        data = migration.migrate(data);
+        version = migration.version;
+    }
+    return { version, data: sanitizeUserData(data) };
+};
+
+/**
+ * Copies the current store file into `backups/`, keeping the newest USER_DATA_BACKUP_LIMIT copies.
+ * @param {string} label Names the backup; a backup that already exists under that label is kept.
+ */
+const backupUserData = (label) => {
+    try {
+        if (!fs.existsSync(userDataPath)) return;
+        fs.mkdirSync(userDataBackupDir, { recursive: true });
+        const backupPath = path.join(userDataBackupDir, `user-data-${label}.json`);
+        if (fs.existsSync(backupPath)) return;
+        fs.copyFileSync(userDataPath, backupPath);
+        fs.readdirSync(userDataBackupDir)
+            .filter(fileName => fileName.startsWith('user-data-'))
+            .map(fileName => ({ fileName, time: fs.statSync(path.join(userDataBackupDir, fileName)).mtimeMs }))
+            .sort((a, b) => b.time - a.time)
+            .slice(USER_DATA_BACKUP_LIMIT)
+            .forEach(({ fileName }) => fs.unlinkSync(path.join(userDataBackupDir, fileName)));
+    } catch (error) {
+        console.error('[STORE ERROR] Failed to back up user data:', error);
+    }
+};
+
+const readLatestUserDataBackup = () => {
+    try {
+        const backups = fs.readdirSync(userDataBackupDir)
+            .filter(fileName => fileName.startsWith('user-data-'))
+            .map(fileName => path.join(userDataBackupDir, fileName))
+            .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+        for (const backupPath of backups) {
+            try {
+                const stored = JSON.parse(fs.readFileSync(backupPath, 'utf-8'));
+                console.warn(`[STORE] Restored user data from ${path.basename(backupPath)}.`);
+                return stored;
+            } catch (error) {
+                console.error(`[STORE ERROR] Backup ${path.basename(backupPath)} is unreadable too.`);
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('[STORE ERROR] Failed to list backups:', error);
+    }
+    return null;
+};
+
+const writeUserDataNow = () => {
+    clearTimeout(userDataWriteTimer);
+    userDataWriteTimer = null;
+    if (!userDataStore || userDataStore.isNew) return;
+    try {
+        const tempPath = `${userDataPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: userDataStore.version, data: userDataStore.data }));
+        fs.renameSync(tempPath, userDataPath);
+    } catch (error) {
+        console.error('[STORE ERROR] Failed to write user data:', error);
+    }
+};
+
+const scheduleUserDataWrite = () => {
+    if (!userDataWriteTimer) userDataWriteTimer = setTimeout(writeUserDataNow, 1000);
+};
+
+/**
+ * Reads the store on first use. A corrupt file is set aside and the newest readable
+ * backup is used instead. Data from an older version is backed up, then migrated.
+ */
+const getUserDataStore = () => {
+    if (userDataStore) return userDataStore;
+    let stored = null;
+    try {
+        stored = JSON.parse(fs.readFileSync(userDataPath, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[STORE ERROR] user-data.json is unreadable:', error);
+            try { fs.renameSync(userDataPath, `${userDataPath}.corrupt-${Date.now()}`); } catch (renameError) { /* Already gone */ }
+            stored = readLatestUserDataBackup();
+        }
+    }
+    if (!stored) {
+        userDataStore = { version: USER_DATA_VERSION, data: {}, isNew: true };
+        return userDataStore;
+    }
+    const storedVersion = stored.version || 0;
+    if (storedVersion < USER_DATA_VERSION) backupUserData(`v${storedVersion}`);
+    userDataStore = { ...migrateUserData(stored), isNew: false };
+    if (userDataStore.version !== storedVersion || !fs.existsSync(userDataPath)) writeUserDataNow();
+    backupUserData(new Date().toISOString().slice(0, 10)); // One backup per day
+    return userDataStore;
+};
+
+ipcMain.handle('get-user-data', () => {
+    const store = getUserDataStore();
+    return { data: store.data, needsLegacyImport: store.isNew };
+});
+
+ipcMain.handle('import-legacy-user-data', (event, legacyValues) => {
+    const store = getUserDataStore();
+    if (!store.isNew) return { data: store.data, imported: false };
+    const rawValues = Object.fromEntries(Object.entries(legacyValues || {}).filter(([, value]) => typeof value === 'string'));
+    userDataStore = { ...migrateUserData({ version: 0, data: rawValues }), isNew: false };
+    writeUserDataNow();
+    return { data: userDataStore.data, imported: fs.existsSync(userDataPath) };
+});
+
+ipcMain.on('set-user-data-value', (event, key, value) => {
+    const store = getUserDataStore();
+    if (!(key in USER_DATA_TYPES)) return;
+    if (value === null || value === undefined) {
+        delete store.data[key];
+    } else if (matchesUserDataType(value, USER_DATA_TYPES[key])) {
+        store.data[key] = value;
+    } else {
+        return console.warn(`[STORE] Ignoring "${key}" value of the wrong type.`);
+    }
+    if (store.isNew) store.isNew = false; // Nothing to import once the renderer has started writing
+    scheduleUserDataWrite();
+});
+
+// =========================================================================
+// --- LISTENING HISTORY ---
+// =========================================================================
+
+/**
+ * Every play is appended as one JSON line to `listening-history.jsonl`, so recording a
+ * play never rewrites the file. Writes are chained so lines are never interleaved.
+ */
+let listeningHistoryWrite = Promise.resolve();
+
+const toPlayEvent = (playEvent) => {
+    const song = playEvent?.song;
+    if (typeof song?.id !== 'string' || typeof song.title !== 'string') return null;
+    const secondsListened = Number(playEvent.secondsListened);
+    if (!Number.isFinite(secondsListened) || secondsListened <= 0) return null;
+    return {
+        timestamp: Number(playEvent.timestamp) || Date.now(),
+        song: {
+            id: song.id,
+            type: song.type === 'video' ? 'video' : 'song',
+            title: song.title,
+            artists: Array.isArray(song.artists) ? song.artists.filter(a => typeof a === 'string') : [],
+            album: typeof song.album === 'string' ? song.album : '',
+            duration: Number(song.duration) || 0,
+            thumbnails: Array.isArray(song.thumbnails) ? song.thumbnails.slice(0, 1) : []
+        },
+        secondsListened: Math.round(secondsListened),
+        skipped: !!playEvent.skipped,
+        completed: !!playEvent.completed
+    };
+};
+
+ipcMain.on('record-play-event', (event, playEvent) => {
+    const entry = toPlayEvent(playEvent);
+    if (!entry) return;
+    listeningHistoryWrite = listeningHistoryWrite
+        .then(() => fs.promises.appendFile(listeningHistoryPath, `${JSON.stringify(entry)}\n`))
+        .catch(error => console.error('[HISTORY ERROR] Failed to record play:', error));
+});
+
+const readListeningHistory = async (since = 0) => {
+    await listeningHistoryWrite;
+    let text;
+    try {
+        text = await fs.promises.readFile(listeningHistoryPath, 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('[HISTORY ERROR] Failed to read listening history:', error);
+        return [];
+    }
+    return text.split('\n').reduce((events, line) => {
+        if (!line) return events;
+        try {
+            const entry = JSON.parse(line);
+            if (entry.timestamp >= since) events.push(entry);
+        } catch {
+            // A line cut short by a crash is skipped rather than losing the whole history.
+        }
+        return events;
+    }, []);
+};
+
+/**
+ * Replaces the whole listening history, e.g. when restoring a backup.
+ */
+const writeListeningHistory = (events) => {
+    listeningHistoryWrite = listeningHistoryWrite.then(async () => {
+        const tempPath = `${listeningHistoryPath}.tmp`;
+        await fs.promises.writeFile(tempPath, events.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        await fs.promises.rename(tempPath, listeningHistoryPath);
+    });
+    const written = listeningHistoryWrite;
+    listeningHistoryWrite = listeningHistoryWrite.catch(error => console.error('[HISTORY ERROR] Failed to write listening history:', error));
+    return written;
+};
+
+ipcMain.handle('get-listening-history', (event, since = 0) => readListeningHistory(since));
+
+// =========================================================================
+// --- BACKUP & RESTORE ---
+// =========================================================================
+
+/**
+ * A backup is one JSON archive: a manifest describing what it holds, and the data itself.
+ * Each data type can be merged into the current library or replace it on restore.
+ */
+const BACKUP_FORMAT = 'metrowave-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_DATA_TYPES = {
+    likedSongs: { label: 'Liked songs', keys: ['likedSongs'] },
+    playlists: { label: 'Playlists', keys: ['userPlaylists'] },
+    history: { label: 'Listening history', keys: ['recentlyPlayed', 'songPlayStats'] },
+    preferences: {
+        label: 'Preferences & themes',
+        keys: ['userKeymapPref', 'userCountryPref', 'userLanguagePref', 'userThemePref', 'userAnimationsPref', 'userTransitionPref',
+            'userCrossfadePref', 'userDownloadConcurrencyPref', 'userDownloadFormatPref', 'userDownloadBitratePref',
+            'userCloseToTrayPref', 'userPersistCachePref', 'userAudioSettingsPref', 'userEqPresets', 'songAudioSettings']
+    }
+};
+const BACKUP_PREFERENCE_LABELS = {
+    userKeymapPref: 'Keyboard shortcuts', userCountryPref: 'Region', userLanguagePref: 'Language', userThemePref: 'Theme', userAnimationsPref: 'Animations',
+    userTransitionPref: 'Song transitions', userCrossfadePref: 'Crossfade length', userDownloadConcurrencyPref: 'Simultaneous downloads',
+    userDownloadFormatPref: 'Download format', userDownloadBitratePref: 'Download bitrate', userCloseToTrayPref: 'Close to tray',
+    userPersistCachePref: 'Keep cache between restarts', userAudioSettingsPref: 'Equalizer & playback speed', userEqPresets: 'Equalizer presets', songAudioSettings: 'Per-song audio settings'
+};
+const RECENTLY_PLAYED_LIMIT = 50;
+
+let pendingBackup = null; // The archive read by 'read-backup', until it is restored
+
+const getHistoryEventKey = (entry) => `${entry.timestamp}|${entry.song?.id}`;
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Describes what restoring each data type would change, without changing anything.
+ */
+const summarizeBackup = (backup, data, history) => {
+    const local = data;
+    const incoming = backup.data;
+    const likedIds = new Set((local.likedSongs || []).map(song => song.id));
+    const backupLiked = incoming.likedSongs || [];
+
+    const localPlaylists = new Map((local.userPlaylists || []).map(p => [p.id, p]));
+    const backupPlaylists = incoming.userPlaylists || [];
+    const changedPlaylists = backupPlaylists.filter(p => localPlaylists.has(p.id) && !isSameValue(p, localPlaylists.get(p.id)));
+
+    const historyKeys = new Set(history.map(getHistoryEventKey));
+    const backupHistory = backup.listeningHistory || [];
+
+    const preferenceKeys = BACKUP_DATA_TYPES.preferences.keys.filter(key => incoming[key] !== undefined);
+    const changedPreferences = preferenceKeys.filter(key => local[key] !== undefined && !isSameValue(local[key], incoming[key]));
+
+    return {
+        likedSongs: {
+            label: BACKUP_DATA_TYPES.likedSongs.label,
+            total: backupLiked.length,
+            added: backupLiked.filter(song => !likedIds.has(song.id)).length,
+            current: likedIds.size,
+            conflicts: []
+        },
+        playlists: {
+            label: BACKUP_DATA_TYPES.playlists.label,
+            total: backupPlaylists.length,
+            added: backupPlaylists.filter(p => !localPlaylists.has(p.id)).length,
+            current: localPlaylists.size,
+            conflicts: changedPlaylists.map(p => `"${localPlaylists.get(p.id).name}" is different in the backup`)
+        },
+        history: {
+            label: BACKUP_DATA_TYPES.history.label,
+            total: backupHistory.length,
+            added: backupHistory.filter(entry => !historyKeys.has(getHistoryEventKey(entry))).length,
+            current: history.length,
+            conflicts: []
+        },
+        preferences: {
+            label: BACKUP_DATA_TYPES.preferences.label,
+            total: preferenceKeys.length,
+            added: preferenceKeys.filter(key => local[key] === undefined).length,
+            current: BACKUP_DATA_TYPES.preferences.keys.filter(key => local[key] !== undefined).length,
+            conflicts: changedPreferences.map(key => `${BACKUP_PREFERENCE_LABELS[key]} differs from your current setting`)
+        }
+    };
+};
 
-// =========================================================================
-// --- API HELPERS ---
-// =========================================================================
-const initializeApi = async (countryCode = 'US') => {
-    await ytmusic.initialize({ GL: countryCode, HL: 'en' });
+/**
+ * Combines current and backed-up data for one data type. Merging never overwrites:
+ * anything already in the library wins over its copy in the backup.
+ */
+const mergeBackupType = (type, local, incoming, history, backupHistory) => {
+    if (type === 'likedSongs') {
+        const likedIds = new Set((local.likedSongs || []).map(song => song.id));
+        return { likedSongs: [...(local.likedSongs || []), ...(incoming.likedSongs || []).filter(song => !likedIds.has(song.id))] };
+    }
+    if (type === 'playlists') {
+        const playlistIds = new Set((local.userPlaylists || []).map(p => p.id));
+        return { userPlaylists: [...(local.userPlaylists || []), ...(incoming.userPlaylists || []).filter(p => !playlistIds.has(p.id))] };
+    }
+    if (type === 'history') {
+        const recentIds = new Set((local.recentlyPlayed || []).map(song => song.id));
+        const playStats = { ...(local.songPlayStats || {}) };
+        Object.entries(incoming.songPlayStats || {}).forEach(([id, stats]) => {
+            const current = playStats[id];
+            playStats[id] = current
+                ? { ...current, count: Math.max(current.count, stats.count), lastPlayed: Math.max(current.lastPlayed, stats.lastPlayed) }
+                : stats;
+        });
+        const eventKeys = new Set(history.map(getHistoryEventKey));
+        return {
+            recentlyPlayed: [...(local.recentlyPlayed || []), ...(incoming.recentlyPlayed || []).filter(song => !recentIds.has(song.id))].slice(0, RECENTLY_PLAYED_LIMIT),
+            songPlayStats: playStats,
+            listeningHistory: [...history, ...backupHistory.filter(entry => !eventKeys.has(getHistoryEventKey(entry)))].sort((a, b) => a.timestamp - b.timestamp)
+        };
+    }
+    return Object.fromEntries(BACKUP_DATA_TYPES.preferences.keys
+        .map(key => [key, local[key] !== undefined ? local[key] : incoming[key]])
+        .filter(([, value]) => value !== undefined));
 };
 
-// =========================================================================
-// --- IPC API HANDLERS ---
-// =========================================================================
+ipcMain.handle('export-backup', async () => {
+    const store = getUserDataStore();
+    const listeningHistory = await readListeningHistory();
+    const keys = Object.values(BACKUP_DATA_TYPES).flatMap(type => type.keys);
+    const data = Object.fromEntries(keys.filter(key => store.data[key] !== undefined).map(key => [key, store.data[key]]));
+    const backup = {
+        manifest: {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            dataVersion: store.version,
+            appVersion: app.getVersion(),
+            createdAt: new Date().toISOString(),
+            contents: {
+                likedSongs: (data.likedSongs || []).length,
+                playlists: (data.userPlaylists || []).length,
+                history: listeningHistory.length,
+                preferences: BACKUP_DATA_TYPES.preferences.keys.filter(key => data[key] !== undefined).length
+            }
+        },
+        data,
+        listeningHistory
+    };
+    const { filePath, canceled } = await dialog.showSaveDialog({
+        title: 'Export Everything',
+        defaultPath: `metrowave-backup-${new Date().toISOString().slice(0, 10)}.json`,
+        filters: [{ name: 'MetroWave Backup', extensions: ['json'] }]
+    });
+    if (canceled || !filePath) return { success: false, error: 'User canceled.' };
+    try {
+        fs.writeFileSync(filePath, JSON.stringify(backup));
+        return { success: true, contents: backup.manifest.contents };
+    } catch (error) { return { success: false, error: error.message }; }
+});
+
+ipcMain.handle('read-backup', async () => {
+    const { filePaths, canceled } = await dialog.showOpenDialog({
+        title: 'Import Backup', properties: ['openFile'],
+        filters: [{ name: 'MetroWave Backup', extensions: ['json'] }]
+    });
+    if (canceled || !filePaths?.length) return { success: false, error: 'User canceled.' };
+    try {
+        const backup = JSON.parse(fs.readFileSync(filePaths[0], 'utf-8'));
+        const manifest = backup?.manifest;
+        if (manifest?.format !== BACKUP_FORMAT || typeof backup.data !== 'object') throw new Error('This file is not a MetroWave backup.');
+        if (manifest.version > BACKUP_VERSION) throw new Error('This backup was made by a newer version of MetroWave.');
+        const data = migrateUserData({ version: manifest.dataVersion ?? USER_DATA_VERSION, data: backup.data }).data;
+        const listeningHistory = Array.isArray(backup.listeningHistory) ? backup.listeningHistory.map(toPlayEvent).filter(Boolean) : [];
+        pendingBackup = { data, listeningHistory };
+        const summary = summarizeBackup(pendingBackup, getUserDataStore().data, await readListeningHistory());
+        return { success: true, manifest, summary };
+    } catch (error) { return { success: false, error: error.message }; }
+});
 
 /**
- * Fetches sections for the Home/Explore page.
- * NOTE: This function correctly loads all available sections from the API
- * while filtering out known problematic "radio" playlists, ensuring the
- * Explore page populates with content as intended.
+ * Restores the backup read by 'read-backup'.
+ * @param {Object<string, 'merge'|'replace'|'skip'>} choices What to do with each data type.
  */
-ipcMain.handle('get-home-sections', async (event, countryCode) => {
+ipcMain.handle('restore-backup', async (event, choices) => {
+    if (!pendingBackup) return { success: false, error: 'No backup is loaded.' };
     try {
-        await initializeApi(countryCode);
-        const sections = await ytmusic.getHomeSections();
-        
-        // This logic shows all sections but intelligently filters out the broken items.
-        return sections.map(section => {
-            if (!section?.contents) return null;
-
-            // This filter specifically removes the problematic "radio" playlists.
-            const filteredContents = section.contents.filter(item => {
-                return !(item?.playlistId?.startsWith('RD'));
+        const store = getUserDataStore();
+        backupUserData(`before-restore-${Date.now()}`);
+        const history = await readListeningHistory();
+        let newHistory = null;
+        for (const [type, { keys }] of Object.entries(BACKUP_DATA_TYPES)) {
+            const choice = choices?.[type];
+            if (choice !== 'merge' && choice !== 'replace') continue;
+            const values = choice === 'replace'
+                ? { ...Object.fromEntries(keys.map(key => [key, pendingBackup.data[key]])), ...(type === 'history' ? { listeningHistory: pendingBackup.listeningHistory } : {}) }
+                : mergeBackupType(type, store.data, pendingBackup.data, history, pendingBackup.listeningHistory);
+            if (values.listeningHistory) newHistory = values.listeningHistory;
+            keys.forEach(key => {
+                if (values[key] === undefined) delete store.data[key];
+                else store.data[key] = values[key];
             });
+        }
+        store.data = sanitizeUserData(store.data);
+        store.isNew = false;
+        writeUserDataNow();
+        if (newHistory) await writeListeningHistory(newHistory);
+        pendingBackup = null;
+        return { success: true, data: store.data };
+    } catch (error) { return { success: false, error: error.message }; }
+});
 
-            const contents = filteredContents.map(item => {
-                if (!item) return null;
-                switch (item.type) {
-                    case 'SONG': return formatSong(item);
-                    case 'VIDEO': return formatVideo(item);
-                    case 'ALBUM': return formatAlbum(item);
-                    case 'PLAYLIST': return formatPlaylist(item);
-                    case 'ARTIST': return formatArtist(item);
-                    default: return null;
-                }
-            }).filter(Boolean);
+// =========================================================================
+// --- LYRICS PROVIDERS ---
+// =========================================================================
 
-            if (contents.length === 0) return null;
-            return { title: section.title, contents };
-        }).filter(Boolean);
-            
-    } catch (error) {
-        console.error('[API ERROR] Failed to get home sections:', error);
-        return [];
+/**
+ * Parses LRC text into time-sorted lines. Supports several timestamps per line
+ * and the `[offset:±ms]` tag. Returns null when the text has no timed lines.
+ */
+const parseLrc = (text) => {
+    if (typeof text !== 'string') return null;
+    const offsetMatch = text.match(/^\[offset:\s*([+-]?\d+)\s*\]/m);
+    const offset = offsetMatch ? Number(offsetMatch[1]) / 1000 : 0;
+    const lines = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        const timestamps = [...rawLine.matchAll(/\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g)];
+        if (timestamps.length === 0) continue;
+        const lineText = rawLine.replace(/\[[^\]]*\]/g, '').trim();
+        for (const [, minutes, seconds] of timestamps) {
+            const time = Number(minutes) * 60 + Number(seconds.replace(':', '.')) - offset;
+            lines.push({ time: Math.max(0, time), text: lineText });
+        }
     }
-});
+    return lines.length ? lines.sort((a, b) => a.time - b.time) : null;
+};
 
-ipcMain.handle('get-search-suggestions', async (event, query, countryCode) => {
-    if (!query) return [];
-    try {
-        await initializeApi(countryCode);
-        return await ytmusic.getSearchSuggestions(query);
-    } catch (error) { 
-        console.error('[API ERROR] Failed to get search suggestions:', error);
-        return []; 
-    }
-});
+const toPlainLines = (text) => typeof text === 'string' && text.trim() ? text.split(/\r?\n/).map(line => line.trim()) : null;
 
-ipcMain.handle('search-youtube', async (event, query, countryCode) => {
-    try {
-        await initializeApi(countryCode);
-        const [songs, albums, playlists, videos] = await Promise.all([
-            ytmusic.searchSongs(query),
-            ytmusic.searchAlbums(query),
-            ytmusic.searchPlaylists(query),
-            ytmusic.searchVideos(query)
-        ]);
-        return {
-            songs: songs.map(formatSong).filter(Boolean),
-            collections: [...albums.map(formatAlbum), ...playlists.map(formatPlaylist)].filter(Boolean),
-            videos: videos.map(formatVideo).filter(Boolean)
-        };
-    } catch (error) {
-        console.error('[API ERROR] Error during search:', error);
-        return { songs: [], collections: [], videos: [] };
+/**
+ * Lyrics providers are asked in order until one returns lyrics. A provider is
+ * `{ name, getLyrics(song, { countryCode }) }` where getLyrics resolves to `{ synced }` (an array of
+ * `{ time, text }`), `{ plain }` (an array of lines) or null if it has nothing.
+ * Throwing means the lookup failed and may be retried later, so it isn't cached.
+ */
+const lyricsProviders = [
+    {
+        // An .lrc file placed next to a downloaded track, e.g. `library/<videoId>.lrc`. Works offline.
+        name: 'Local file',
+        getLyrics: async (song) => {
+            if (!getLibraryEntry(song.id)) return null;
+            try {
+                const text = await fs.promises.readFile(path.join(libraryDir, `${song.id}.lrc`), 'utf-8');
+                const synced = parseLrc(text);
+                if (synced) return { synced };
+                const plain = toPlainLines(text);
+                return plain ? { plain } : null;
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        }
+    },
+    {
+        name: 'LRCLIB',
+        getLyrics: async (song) => {
+            if (!song.title || !song.artists?.length) return null;
+            const params = new URLSearchParams({ track_name: song.title, artist_name: song.artists[0] });
+            if (song.album) params.set('album_name', song.album);
+            if (song.duration) params.set('duration', Math.round(song.duration));
+            const response = await fetch(`https://lrclib.net/api/get?${params}`, { headers: { 'User-Agent': 'MetroWave (https://github.com/Ashmil-Kurikkal/MetroWave)' } });
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`LRCLIB responded with HTTP ${response.status}`);
+            const data = await response.json();
+            if (data.instrumental) return null;
+            const synced = parseLrc(data.syncedLyrics);
+            if (synced) return { synced };
+            const plain = toPlainLines(data.plainLyrics);
+            return plain ? { plain } : null;
+        }
+    },
+    {
+        name: 'YouTube Music',
+        getLyrics: async (song, { countryCode }) => {
+            const ytmusic = await initializeApi(countryCode);
+            const lines = await ytmusic.getLyrics(song.id);
+            return lines?.length ? { plain: lines } : null;
+        }
     }
-});
+];
 
 /**
- * Fetches details for an album or playlist.
- * NOTE: This will gracefully fail (return null) for "radio" playlists (IDs starting with 'RD'),
- * preventing the application from crashing.
+ * Lyrics results by videoId, including "not found" (null), oldest first so the
+ * first key is evicted when the cache is full.
  */
-ipcMain.handle('get-browse-details', async (event, { id, type }, countryCode) => {
-    if (!id || !type) return null;
-    try {
-        await initializeApi(countryCode);
-        let response;
-        if (type === 'album') {
-            response = await ytmusic.getAlbum(id);
-        } else if (type === 'playlist') {
-            response = await ytmusic.getPlaylist(id);
-        } else {
-            return null;
+const lyricsCache = new Map();
+
+const cacheLyrics = (videoId, result) => {
+    lyricsCache.delete(videoId);
+    lyricsCache.set(videoId, result);
+    if (lyricsCache.size > LYRICS_CACHE_LIMIT) lyricsCache.delete(lyricsCache.keys().next().value);
+};
+
+ipcMain.handle('get-lyrics', async (event, song, countryCode) => {
+    if (!song?.id) return null;
+    if (lyricsCache.has(song.id)) return lyricsCache.get(song.id);
+    let hasFailed = false;
+    for (const provider of lyricsProviders) {
+        try {
+            const lyrics = await provider.getLyrics(song, { countryCode });
+            if (lyrics) {
+                const result = { ...lyrics, source: provider.name };
+                cacheLyrics(song.id, result);
+                return result;
+            }
+        } catch (error) {
+            hasFailed = true;
+            console.error(`[LYRICS ERROR] ${provider.name} failed for ${song.id}:`, error);
         }
-        return {
-            title: response.name,
-            thumbnails: response.thumbnails,
-            artist: response.artist?.name || response.author || 'Various Artists',
-            tracks: (response.tracks || response.songs || []).map(formatSong).filter(Boolean)
-        };
-    } catch (error) {
-        console.error(`[API ERROR] Failed to get browse details for ${type} with ID ${id}:`, error);
-        return null;
     }
+    if (!hasFailed) cacheLyrics(song.id, null);
+    return null;
 });
 
-ipcMain.handle('get-up-nexts', async (event, videoId, countryCode) => {
-    if (!videoId) return [];
-    try {
-        await initializeApi(countryCode);
-        const upNexts = await ytmusic.getUpNexts(videoId);
-        return Array.isArray(upNexts) ? upNexts.map(song => ({
-            id: song.videoId, title: song.title, artists: song.artists,
-            thumbnails: [{ url: song.thumbnail }], duration: song.duration, type: 'song'
-        })).filter(Boolean) : [];
-    } catch (error) {
-        console.error(`[API ERROR] Failed to get up nexts for ${videoId}:`, error);
-        return [];
+// =========================================================================
+// --- PLAYLIST FILE FORMATS ---
+// =========================================================================
+
+const getWatchUrl = (videoId) => `https://music.youtube.com/watch?v=${videoId}`;
+
+/**
+ * Reads a videoId from a YouTube (Music) URL, or from a file in the offline library.
+ */
+const getVideoIdFromLocation = (location) => {
+    if (!location) return null;
+    const urlMatch = location.match(/(?:[?&]v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
+    if (urlMatch) return urlMatch[1];
+    const filePath = location.startsWith('file:') ? decodeURIComponent(location.replace(/^file:\/\//, '')) : location;
+    if (path.resolve(path.dirname(filePath)) !== path.resolve(libraryDir)) return null;
+    const fileMatch = path.basename(filePath).match(/^([a-zA-Z0-9_-]{11})\./);
+    return fileMatch ? fileMatch[1] : null;
+};
+
+/**
+ * Downloaded songs are exported as their library file, everything else as a YouTube Music link.
+ */
+const getSongLocation = (song) => {
+    const entry = getLibraryEntry(song.id);
+    return entry ? path.join(libraryDir, entry.fileName) : getWatchUrl(song.id);
+};
+
+/**
+ * Splits "Artist - Title" text, as found in M3U #EXTINF lines and plain lists.
+ */
+const splitArtistTitle = (text) => {
+    const parts = (text || '').split(' - ');
+    if (parts.length < 2) return { title: (text || '').trim(), artists: [] };
+    return { title: parts.slice(1).join(' - ').trim(), artists: parts[0].split(/,\s*|\s+&\s+/).map(a => a.trim()).filter(Boolean) };
+};
+
+const escapeXml = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const unescapeXml = (text) => String(text ?? '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+const getXmlTag = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? unescapeXml(match[1].trim()) : '';
+};
+
+const toCsvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') inQuotes = true;
+        else if (char === ',') { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else field += char;
     }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+/**
+ * Turns what a file says about a track into an import entry, keeping the full song when the
+ * file came from MetroWave and an `id` whenever the videoId is known.
+ */
+const toImportEntry = ({ id = null, title = '', artists = [], album = '', duration = 0, thumbnail = '' }) => ({
+    id,
+    title: title.trim(),
+    artists,
+    album: album.trim(),
+    duration: Number(duration) || 0,
+    thumbnails: thumbnail ? [{ url: thumbnail }] : (id ? [{ url: `https://i.ytimg.com/vi/${id}/mqdefault.jpg` }] : [])
 });
 
+const PLAYLIST_FORMATS = {
+    json: {
+        name: 'MetroWave Playlist (JSON)',
+        extensions: ['json'],
+        parse: (text) => {
+            const playlist = JSON.parse(text);
+            if (!playlist.name || !Array.isArray(playlist.songs)) throw new Error('Invalid playlist file format.');
+            return { name: playlist.name, description: playlist.description, entries: playlist.songs.filter(song => song?.id) };
+        }
+    },
+    m3u8: {
+        name: 'M3U8 Playlist',
+        extensions: ['m3u8', 'm3u'],
+        serialize: (playlist) => [
+            '#EXTM3U',
+            `#PLAYLIST:${playlist.name}`,
+            ...playlist.songs.flatMap(song => [
+                `#EXTINF:${Math.round(song.duration) || -1},${(song.artists || []).join(', ')} - ${song.title}`,
+                getSongLocation(song)
+            ])
+        ].join('\n') + '\n',
+        parse: (text) => {
+            const playlist = { name: '', entries: [] };
+            let info = null;
+            text.split(/\r?\n/).map(line => line.trim()).forEach(line => {
+                if (line.startsWith('#PLAYLIST:')) playlist.name = line.slice(10).trim();
+                else if (line.startsWith('#EXTINF:')) {
+                    const [duration, ...display] = line.slice(8).split(',');
+                    info = { duration: Math.max(0, parseInt(duration, 10) || 0), ...splitArtistTitle(display.join(',')) };
+                } else if (line && !line.startsWith('#')) {
+                    const id = getVideoIdFromLocation(line);
+                    const isLocation = /^(https?:|file:|\/|[a-zA-Z]:\\)/.test(line);
+                    // A bare link says nothing about the song, so its title is looked up on import.
+                    const fallback = isLocation ? (id ? {} : { title: path.parse(line).name, artists: [] }) : splitArtistTitle(line);
+                    playlist.entries.push(toImportEntry({ id, ...(info || fallback) }));
+                    info = null;
+                }
+            });
+            return playlist;
+        }
+    },
+    xspf: {
+        name: 'XSPF Playlist',
+        extensions: ['xspf'],
+        serialize: (playlist) => [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `  <title>${escapeXml(playlist.name)}</title>`,
+            playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>` : null,
+            '  <trackList>',
+            ...playlist.songs.map(song => [
+                '    <track>',
+                `      <location>${escapeXml(getSongLocation(song))}</location>`,
+                `      <identifier>${escapeXml(getWatchUrl(song.id))}</identifier>`,
+                `      <title>${escapeXml(song.title)}</title>`,
+                `      <creator>${escapeXml((song.artists || []).join(', '))}</creator>`,
+                song.album ? `      <album>${escapeXml(song.album)}</album>` : null,
+                song.duration ? `      <duration>${Math.round(song.duration * 1000)}</duration>` : null,
+                song.thumbnails?.length ? `      <image>${escapeXml(song.thumbnails[song.thumbnails.length - 1].url)}</image>` : null,
+                '    </track>'
+            ].filter(Boolean).join('\n')),
+            '  </trackList>',
+            '</playlist>'
+        ].filter(line => line !== null).join('\n') + '\n',
+        parse: (text) => {
+            if (!/<playlist[\s>]/.test(text)) throw new Error('Invalid XSPF file.');
+            const trackList = text.match(/<trackList>([\s\S]*?)<\/trackList>/)?.[1] || '';
+            return {
+                name: getXmlTag(text.replace(trackList, ''), 'title'),
+                description: getXmlTag(text.replace(trackList, ''), 'annotation'),
+                entries: (trackList.match(/<track>[\s\S]*?<\/track>/g) || []).map(track => toImportEntry({
+                    id: getVideoIdFromLocation(getXmlTag(track, 'identifier')) || getVideoIdFromLocation(getXmlTag(track, 'location')),
+                    title: getXmlTag(track, 'title'),
+                    artists: getXmlTag(track, 'creator').split(/,\s*/).filter(Boolean),
+                    album: getXmlTag(track, 'album'),
+                    duration: (Number(getXmlTag(track, 'duration')) || 0) / 1000,
+                    thumbnail: getXmlTag(track, 'image')
+                }))
+            };
+        }
+    },
+    csv: {
+        name: 'CSV Spreadsheet',
+        extensions: ['csv'],
+        serialize: (playlist) => [
+            ['Title', 'Artist', 'Album', 'Duration', 'Video ID', 'URL'],
+            ...playlist.songs.map(song => [song.title, (song.artists || []).join(', '), song.album || '', Math.round(song.duration) || '', song.id, getWatchUrl(song.id)])
+        ].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n',
+        parse: (text) => {
+            const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+            const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+            const column = (...names) => header.findIndex(cell => names.includes(cell));
+            const columns = {
+                title: column('title', 'name', 'track', 'track name', 'song'),
+                artist: column('artist', 'artists', 'artist name(s)', 'creator'),
+                album: column('album', 'album name'),
+                duration: column('duration', 'length', 'duration (ms)'),
+                id: column('video id', 'videoid', 'id'),
+                url: column('url', 'link', 'location')
+            };
+            if (columns.title === -1) {
+                // No recognizable header: one "Artist - Title" per line.
+                return { name: '', entries: rows.map(row => toImportEntry(splitArtistTitle(row[0]))).filter(entry => entry.title) };
+            }
+            const isMilliseconds = header[columns.duration] === 'duration (ms)';
+            return {
+                name: '',
+                entries: rows.slice(1).map(row => {
+                    const cell = (index) => (index === -1 ? '' : (row[index] || '').trim());
+                    const duration = cell(columns.duration);
+                    const [minutes, seconds] = duration.includes(':') ? duration.split(':').map(Number) : [null, null];
+                    const id = /^[a-zA-Z0-9_-]{11}$/.test(cell(columns.id)) ? cell(columns.id) : getVideoIdFromLocation(cell(columns.url));
+                    return toImportEntry({
+                        id,
+                        title: cell(columns.title),
+                        artists: cell(columns.artist).split(/,\s*|;\s*/).filter(Boolean),
+                        album: cell(columns.album),
+                        duration: minutes !== null ? minutes * 60 + seconds : (Number(duration) || 0) / (isMilliseconds ? 1000 : 1)
+                    });
+                }).filter(entry => entry.title || entry.id)
+            };
+        }
+    }
+};
+
+const normalizeMatchText = (text) => (text || '').toLowerCase()
+    .replace(/[([][^)\]]*[)\]]/g, ' ')
+    .replace(/\b(feat|ft)\.?\s.*$/, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const getWordOverlap = (a, b) => {
+    const wordsA = new Set(normalizeMatchText(a).split(' ').filter(Boolean));
+    const wordsB = new Set(normalizeMatchText(b).split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+/**
+ * Scores how likely a search result is the track an imported entry describes, from 0 to 1.
+ * Title counts most, then artist, then duration when both are known.
+ */
+const scoreSongMatch = (entry, song) => {
+    const titleScore = getWordOverlap(entry.title, song.title);
+    const artistScore = entry.artists?.length ? getWordOverlap(entry.artists.join(' '), (song.artists || []).join(' ')) : 0.5;
+    if (!entry.duration || !song.duration) return 0.65 * titleScore + 0.35 * artistScore;
+    const durationScore = Math.max(0, 1 - Math.abs(entry.duration - song.duration) / 30);
+    return 0.55 * titleScore + 0.3 * artistScore + 0.15 * durationScore;
+};
+
 // =========================================================================
 // --- YT-DLP & FILE SYSTEM HANDLERS (SECURED) ---
 // =========================================================================
 
 /**
  * SECURITY: Uses execFile to safely get an audio stream URL, preventing command injection.
+ * Tracks in the offline library resolve to their local file instead.
  */
-ipcMain.handle('get-audio-stream', (event, videoId) => new Promise(resolve => {
-    if (!videoId) return resolve(null);
-    const args = ['-f', 'bestaudio', '-g', `https://www.youtube.com/watch?v=${videoId}`];
-    execFile(ytDlpPath, args, (err, stdout) => {
-        if (err) { console.error(`[YTDLP ERROR] Audio stream for ${videoId}:`, err); return resolve(null); }
-        resolve(stdout.trim());
-    });
-}));
+ipcMain.handle('get-audio-stream', (event, videoId, { refresh = false } = {}) => {
+    if (!videoId) return null;
+    const libraryEntry = getLibraryEntry(videoId);
+    if (libraryEntry) return pathToFileURL(path.join(libraryDir, libraryEntry.fileName)).href;
+    return responseCache.getOrFetch('stream', videoId, () => new Promise(resolve => {
+        const args = ['-f', 'bestaudio', '-g', `https://www.youtube.com/watch?v=${videoId}`];
+        execFile(ytDlpPath, args, (err, stdout) => {
+            if (err) { console.error(`[YTDLP ERROR] Audio stream for ${videoId}:`, err); return resolve(null); }
+            resolve(stdout.trim() || null);
+        });
+    }), { refresh, getExpiresAt: getStreamExpiry });
+});
 
 /**
  * SECURITY: Uses execFile to safely get a video stream URL.
@@ -199,49 +1787,106 @@ ipcMain.on('cancel-video-stream', () => {
 /**
  * SECURITY: Uses execFile to safely download an audio file.
  */
-ipcMain.handle('download-audio', (event, videoId, filename) => new Promise(async (resolve, reject) => {
+ipcMain.handle('download-audio', (event, videoId, filename, song) => new Promise(async (resolve, reject) => {
+    const libraryEntry = getLibraryEntry(videoId);
+    const format = libraryEntry ? path.extname(libraryEntry.fileName).slice(1) : downloadOptions.format;
     const { filePath, canceled } = await dialog.showSaveDialog({
         title: 'Save Audio As',
-        defaultPath: filename.replace(/[/\\?%*:|"<>]/g, '_').replace(/\s+/g, ' ').trim() + '.mp3',
-        filters: [{ name: 'MP3 Audio', extensions: ['mp3'] }]
+        defaultPath: filename.replace(/[/\\?%*:|"<>]/g, '_').replace(/\s+/g, ' ').trim() + `.${format}`,
+        filters: [{ name: AUDIO_FORMATS[format]?.name || 'Audio', extensions: [format] }]
     });
     if (canceled || !filePath) return reject(new Error("User canceled."));
 
+    if (libraryEntry) {
+        fs.copyFile(path.join(libraryDir, libraryEntry.fileName), filePath, (err) => err ? reject(err) : resolve(filePath));
+        return;
+    }
+
+    // Let yt-dlp pick the extension, the extracted file always ends in the chosen format.
+    const outputBase = filePath.slice(0, filePath.length - path.extname(filePath).length);
+    const finalPath = `${outputBase}.${format}`;
     const args = [
-        '-f', 'bestaudio', '--extract-audio', '--audio-format', 'mp3',
-        '--audio-quality', '192K', '-o', filePath,
+        ...getAudioExtractionArgs(downloadOptions), '--no-playlist',
+        '-o', `${outputBase}.%(ext)s`,
         `https://www.youtube.com/watch?v=${videoId}`
     ];
-    execFile(ytDlpPath, args, (err) => {
-        if (err) { console.error(`[YTDLP DOWNLOAD ERROR] for ${videoId}:`, err); reject(new Error("Download failed")); }
-        else resolve(filePath);
+    execFile(ytDlpPath, args, async (err) => {
+        if (err) { console.error(`[YTDLP DOWNLOAD ERROR] for ${videoId}:`, err); return reject(new Error("Download failed")); }
+        await tagAudioFile(finalPath, song);
+        resolve(finalPath);
     });
 }));
 
-ipcMain.handle('export-playlist', async (event, playlistJSON) => {
+ipcMain.handle('export-playlist', async (event, playlistJSON, format = 'json') => {
+    const playlistFormat = PLAYLIST_FORMATS[format];
+    if (!playlistFormat) return { success: false, error: `Unsupported format: ${format}` };
+    const playlist = JSON.parse(playlistJSON);
     const { filePath, canceled } = await dialog.showSaveDialog({
         title: 'Export Playlist',
-        defaultPath: `playlist-${JSON.parse(playlistJSON).name.replace(/[^a-z0-9]/gi, '_')}.json`,
-        filters: [{ name: 'JSON Files', extensions: ['json'] }]
+        defaultPath: `playlist-${playlist.name.replace(/[^a-z0-9]/gi, '_')}.${playlistFormat.extensions[0]}`,
+        filters: [{ name: playlistFormat.name, extensions: playlistFormat.extensions }]
     });
     if (canceled || !filePath) return { success: false, error: 'User canceled.' };
     try {
-        fs.writeFileSync(filePath, playlistJSON);
+        fs.writeFileSync(filePath, format === 'json' ? playlistJSON : playlistFormat.serialize(playlist));
         return { success: true };
     } catch (error) { return { success: false, error: error.message }; }
 });
 
+/**
+ * Reads a playlist file in any supported format.
+ * @returns {Promise<{success: boolean, playlist?: {name: string, description?: string, entries: object[]}, error?: string}>}
+ * Entries carry an `id` when the file identified the video, otherwise just title, artists and duration.
+ */
 ipcMain.handle('import-playlist', async () => {
     const { filePaths, canceled } = await dialog.showOpenDialog({
         title: 'Import Playlist', properties: ['openFile'],
-        filters: [{ name: 'JSON Files', extensions: ['json'] }]
+        filters: [
+            { name: 'Playlists', extensions: Object.values(PLAYLIST_FORMATS).flatMap(format => format.extensions) },
+            ...Object.values(PLAYLIST_FORMATS).map(format => ({ name: format.name, extensions: format.extensions }))
+        ]
     });
     if (canceled || !filePaths?.length) return { success: false, error: 'User canceled.' };
     try {
-        return { success: true, data: fs.readFileSync(filePaths[0], 'utf-8') };
+        const extension = path.extname(filePaths[0]).slice(1).toLowerCase();
+        const format = Object.values(PLAYLIST_FORMATS).find(f => f.extensions.includes(extension)) || PLAYLIST_FORMATS.json;
+        const playlist = format.parse(fs.readFileSync(filePaths[0], 'utf-8'));
+        if (!playlist.name) playlist.name = path.basename(filePaths[0], path.extname(filePaths[0]));
+        if (playlist.entries.length === 0) throw new Error('The file has no songs in it.');
+        return { success: true, playlist };
     } catch (error) { return { success: false, error: error.message }; }
 });
 
+/**
+ * Finds the YouTube Music song that best matches a title, artists and duration.
+ * An entry with only a video id (a bare link in an M3U file) is looked up by that id instead.
+ * @returns {Promise<{match: object|null, confidence: number, candidates: object[]}>} `confidence` runs from 0 to 1.
+ */
+ipcMain.handle('match-song', async (event, entry, countryCode) => {
+    if (entry?.id && !entry.title) {
+        try {
+            const ytmusic = await initializeApi(countryCode);
+            const song = formatSong(await ytmusic.getSong(entry.id));
+            if (song) return { match: song, confidence: 1, candidates: [{ song, confidence: 1 }] };
+        } catch (error) {
+            console.error(`[API ERROR] Failed to look up video ${entry.id}:`, error);
+        }
+        return { match: null, confidence: 0, candidates: [] };
+    }
+    const query = [entry?.artists?.join(' '), entry?.title].filter(Boolean).join(' ').trim();
+    if (!query) return { match: null, confidence: 0, candidates: [] };
+    try {
+        const ytmusic = await initializeApi(countryCode);
+        const candidates = (await ytmusic.searchSongs(query)).map(formatSong).filter(Boolean).slice(0, 5)
+            .map(song => ({ song, confidence: scoreSongMatch(entry, song) }))
+            .sort((a, b) => b.confidence - a.confidence);
+        return { match: candidates[0]?.song || null, confidence: candidates[0]?.confidence || 0, candidates: candidates.slice(0, 3) };
+    } catch (error) {
+        console.error(`[API ERROR] Failed to match "${query}":`, error);
+        return { match: null, confidence: 0, candidates: [] };
+    }
+});
+
 // =========================================================================
 // --- WINDOW CONTROLS ---
 // =========================================================================
@@ -259,11 +1904,285 @@ ipcMain.on('maximize-window', (event) => {
     }
 });
 
+// Closing the main window may only hide it to the tray, see createWindow().
 ipcMain.on('close-window', (event) => {
     const window = BrowserWindow.fromWebContents(event.sender);
     window.close();
 });
 
+/**
+ * Switches to full mode: the mini-player is hidden and the main window brought back.
+ */
+const showMainWindow = () => {
+    if (miniPlayerWindow?.isVisible()) {
+        saveWindowBounds('mini', miniPlayerWindow);
+        miniPlayerWindow.hide();
+    }
+    if (!mainWindow) return createWindow();
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+};
+
+// =========================================================================
+// --- MINI-PLAYER ---
+// =========================================================================
+
+const MINI_PLAYER_SIZE = { width: 360, height: 128 };
+const MINI_PLAYER_COMMANDS = ['play-pause', 'next', 'previous', 'toggle-like', 'seek'];
+
+/**
+ * Remembers where the main window and the mini-player were, so switching modes
+ * (or restarting) puts them back in the same place.
+ */
+const saveWindowBounds = (name, window) => {
+    if (!window || window.isDestroyed() || window.isMinimized()) return;
+    const store = getUserDataStore();
+    const bounds = name === 'main' && window.isMaximized() ? { ...window.getNormalBounds(), isMaximized: true } : window.getBounds();
+    store.data.windowBounds = { ...store.data.windowBounds, [name]: bounds };
+    scheduleUserDataWrite();
+};
+
+/**
+ * Returns the saved bounds for a window, unless the display it was on is gone.
+ */
+const getSavedWindowBounds = (name) => {
+    const bounds = getUserDataStore().data.windowBounds?.[name];
+    if (!bounds || ![bounds.x, bounds.y, bounds.width, bounds.height].every(Number.isFinite)) return null;
+    const isOnScreen = screen.getAllDisplays().some(({ workArea }) =>
+        bounds.x < workArea.x + workArea.width && bounds.x + bounds.width > workArea.x
+        && bounds.y < workArea.y + workArea.height && bounds.y + bounds.height > workArea.y);
+    return isOnScreen ? bounds : null;
+};
+
+const sendMiniPlayerState = () => {
+    if (!miniPlayerWindow || miniPlayerWindow.isDestroyed()) return;
+    miniPlayerWindow.webContents.send('mini-player-state', {
+        media: lastMediaState,
+        isAlwaysOnTop: miniPlayerWindow.isAlwaysOnTop()
+    });
+};
+
+const createMiniPlayerWindow = () => {
+    const saved = getSavedWindowBounds('mini');
+    const { workArea } = screen.getPrimaryDisplay();
+    const win = new BrowserWindow({
+        ...MINI_PLAYER_SIZE,
+        x: saved ? saved.x : workArea.x + workArea.width - MINI_PLAYER_SIZE.width - 24,
+        y: saved ? saved.y : workArea.y + workArea.height - MINI_PLAYER_SIZE.height - 24,
+        resizable: false, maximizable: false, fullscreenable: false,
+        frame: false, show: false, skipTaskbar: false,
+        alwaysOnTop: getUserDataStore().data.miniPlayerAlwaysOnTop !== false,
+        backgroundColor: '#121212',
+        title: 'MetroWave Mini Player',
+        webPreferences: {
+            preload: path.join(__dirname, 'preload.js'),
+            contextIsolation: true, nodeIntegration: false,
+        },
+        icon: path.join(__dirname, 'assets/icons/icon.png')
+    });
+    win.setMenuBarVisibility(false);
+    miniPlayerWindow = win;
+    win.on('moved', () => saveWindowBounds('mini', win));
+    win.on('show', updateTrayMenu);
+    win.on('hide', updateTrayMenu);
+    // Closing the mini-player (Alt+F4 and the like) goes back to full mode.
+    win.on('close', (event) => {
+        if (isQuitting) return;
+        event.preventDefault();
+        showMainWindow();
+    });
+    win.on('closed', () => { if (miniPlayerWindow === win) miniPlayerWindow = null; });
+    win.webContents.on('did-finish-load', sendMiniPlayerState);
+    win.loadFile('mini-player.html');
+    return win;
+};
+
+/**
+ * Switches to mini mode. The main window is only hidden, its renderer keeps playing.
+ */
+const showMiniPlayer = () => {
+    const win = miniPlayerWindow || createMiniPlayerWindow();
+    if (mainWindow?.isVisible()) {
+        saveWindowBounds('main', mainWindow);
+        mainWindow.hide();
+    }
+    if (win.webContents.isLoading()) win.once('ready-to-show', () => win.show());
+    else win.show();
+    sendMiniPlayerState();
+};
+
+ipcMain.on('show-mini-player', showMiniPlayer);
+
+/**
+ * Playback controls in the mini-player go to the main renderer, which owns the audio.
+ */
+ipcMain.on('mini-player-command', (event, command, value) => {
+    if (!MINI_PLAYER_COMMANDS.includes(command)) return;
+    if (command === 'seek' && !Number.isFinite(value)) return;
+    sendMediaCommand(command, value);
+});
+
+ipcMain.on('mini-player-action', (event, action) => {
+    if (!miniPlayerWindow) return;
+    if (action === 'expand') {
+        showMainWindow();
+    } else if (action === 'toggle-always-on-top') {
+        const isAlwaysOnTop = !miniPlayerWindow.isAlwaysOnTop();
+        miniPlayerWindow.setAlwaysOnTop(isAlwaysOnTop);
+        getUserDataStore().data.miniPlayerAlwaysOnTop = isAlwaysOnTop;
+        scheduleUserDataWrite();
+        sendMiniPlayerState();
+    }
+});
+
+// =========================================================================
+// --- SYSTEM TRAY ---
+// =========================================================================
+
+// Off unless the user turns it on, so the close button keeps quitting the app by default.
+const isCloseToTrayEnabled = () => getUserDataStore().data.userCloseToTrayPref === true;
+
+/**
+ * Rebuilds the tray menu from the last now-playing state. Playback commands go to the
+ * renderer the same way media keys do.
+ */
+const updateTrayMenu = () => {
+    if (!tray) return;
+    const song = lastMediaState?.song;
+    const nowPlaying = song ? `${song.title}${song.artists?.length ? ` — ${song.artists.join(', ')}` : ''}` : 'Nothing playing';
+    const isWindowVisible = !!mainWindow && mainWindow.isVisible();
+    tray.setToolTip(song ? `MetroWave\n${nowPlaying}`.slice(0, 127) : 'MetroWave');
+    tray.setContextMenu(Menu.buildFromTemplate([
+        { label: nowPlaying.length > 60 ? `${nowPlaying.slice(0, 57)}...` : nowPlaying, enabled: false },
+        { type: 'separator' },
+        { label: lastMediaState?.isPlaying ? 'Pause' : 'Play', enabled: !!song, click: () => sendMediaCommand('play-pause') },
+        { label: 'Next', enabled: !!song, click: () => sendMediaCommand('next') },
+        { label: 'Previous', enabled: !!song, click: () => sendMediaCommand('previous') },
+        { label: lastMediaState?.isLiked ? 'Unlike' : 'Like', enabled: !!song, click: () => sendMediaCommand('toggle-like') },
+        { type: 'separator' },
+        { label: isWindowVisible ? 'Hide Window' : 'Show Window', click: () => (isWindowVisible ? mainWindow.hide() : showMainWindow()) },
+        { label: 'Mini Player', enabled: !miniPlayerWindow?.isVisible(), click: showMiniPlayer },
+        { label: 'Quit', click: () => app.quit() }
+    ]));
+};
+
+const setupTray = () => {
+    try {
+        // build/ is electron-builder's resources folder and isn't packed, so the icon ships from assets/.
+        const icon = nativeImage.createFromPath(path.join(__dirname, 'assets/icons/tray.png'));
+        if (icon.isEmpty()) throw new Error('The tray icon could not be loaded.');
+        tray = new Tray(icon.resize({ width: process.platform === 'linux' ? 22 : 16 }));
+        // A left click toggles the window on Windows and Linux; macOS always opens the menu.
+        tray.on('click', () => (mainWindow?.isVisible() && mainWindow.isFocused() ? mainWindow.hide() : showMainWindow()));
+        updateTrayMenu();
+    } catch (error) {
+        console.error('[TRAY ERROR] Failed to create the tray icon:', error);
+        tray = null;
+    }
+};
+
+// =========================================================================
+// --- MEDIA KEYS & OS MEDIA INTEGRATION ---
+// =========================================================================
+
+/**
+ * Forwards a playback command (play-pause, next, seek, ...) to the renderer,
+ * which owns the audio element and the queue.
+ */
+const sendMediaCommand = (command, value) => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('media-command', command, value);
+};
+
+const registerMediaShortcuts = () => {
+    const shortcuts = {
+        MediaPlayPause: 'play-pause',
+        MediaNextTrack: 'next',
+        MediaPreviousTrack: 'previous',
+        MediaStop: 'pause'
+    };
+    for (const [accelerator, command] of Object.entries(shortcuts)) {
+        try {
+            if (!globalShortcut.register(accelerator, () => sendMediaCommand(command))) {
+                console.warn(`[SHORTCUT] Could not register ${accelerator}, it may be in use by another application.`);
+            }
+        } catch (error) {
+            console.error(`[SHORTCUT ERROR] Failed to register ${accelerator}:`, error);
+        }
+    }
+};
+
+/**
+ * Linux fallback for the OS media overlay: exposes the player over D-Bus (MPRIS).
+ */
+const setupMprisPlayer = () => {
+    if (!MprisPlayer) return null;
+    try {
+        const player = MprisPlayer({
+            name: 'metrowave',
+            identity: 'MetroWave',
+            supportedUriSchemes: ['https'],
+            supportedMimeTypes: ['audio/mpeg', 'audio/webm', 'audio/mp4'],
+            supportedInterfaces: ['player']
+        });
+        player.canSeek = true;
+        player.canControl = true;
+        player.playbackStatus = MprisPlayer.PLAYBACK_STATUS_STOPPED;
+        player.positionSeconds = 0;
+        player.getPosition = () => Math.round(player.positionSeconds * 1e6); // MPRIS uses microseconds
+
+        player.on('play', () => sendMediaCommand('play'));
+        player.on('pause', () => sendMediaCommand('pause'));
+        player.on('playpause', () => sendMediaCommand('play-pause'));
+        player.on('stop', () => sendMediaCommand('pause'));
+        player.on('next', () => sendMediaCommand('next'));
+        player.on('previous', () => sendMediaCommand('previous'));
+        player.on('seek', (offset) => sendMediaCommand('seek', player.positionSeconds + offset / 1e6));
+        player.on('position', ({ position }) => sendMediaCommand('seek', position / 1e6));
+        player.on('raise', () => { if (mainWindow) { mainWindow.show(); mainWindow.focus(); } });
+        player.on('quit', () => app.quit());
+        player.on('error', (error) => console.error('[MPRIS ERROR]', error));
+        return player;
+    } catch (error) {
+        console.error('[MPRIS ERROR] Failed to start the MPRIS service:', error);
+        return null;
+    }
+};
+
+/**
+ * Receives now-playing updates from the renderer and mirrors them to MPRIS.
+ */
+ipcMain.on('media-state-changed', (event, state) => {
+    if (!state) return;
+    const trayStateChanged = lastMediaState?.song?.id !== state.song?.id
+        || lastMediaState?.isPlaying !== state.isPlaying || lastMediaState?.isLiked !== state.isLiked;
+    lastMediaState = state;
+    if (trayStateChanged) updateTrayMenu();
+    sendMiniPlayerState();
+    if (!mprisPlayer) return;
+    const { song, isPlaying, position, duration } = state;
+    if (song) {
+        const trackPath = mprisPlayer.objectPath(`track/${String(song.id).replace(/[^a-zA-Z0-9_]/g, '_')}`);
+        if (mprisPlayer.metadata?.['mpris:trackid'] !== trackPath || mprisPlayer.metadata?.['mpris:length'] !== Math.round((duration || 0) * 1e6)) {
+            mprisPlayer.metadata = {
+                'mpris:trackid': trackPath,
+                'mpris:length': Math.round((duration || 0) * 1e6),
+                'mpris:artUrl': song.artworkUrl || '',
+                'xesam:title': song.title || '',
+                'xesam:album': song.album || '',
+                'xesam:artist': song.artists || []
+            };
+        }
+    }
+    const previousPosition = mprisPlayer.positionSeconds;
+    mprisPlayer.positionSeconds = position || 0;
+    // Only signal a jump in position, regular playback progress is polled through getPosition().
+    if (Math.abs(mprisPlayer.positionSeconds - previousPosition) > 2) mprisPlayer.seeked(mprisPlayer.getPosition());
+    mprisPlayer.playbackStatus = song
+        ? (isPlaying ? MprisPlayer.PLAYBACK_STATUS_PLAYING : MprisPlayer.PLAYBACK_STATUS_PAUSED)
+        : MprisPlayer.PLAYBACK_STATUS_STOPPED;
+});
+
 // =========================================================================
 // --- EXTERNAL LINKS LIKE CONNECT WITH ME HANDLER ---
 // =========================================================================
@@ -279,8 +2198,10 @@ ipcMain.on('open-external-link', (event, url) => {
 // --- ELECTRON WINDOW AND APP LIFECYCLE ---
 // =========================================================================
 function createWindow() {
+    const saved = getSavedWindowBounds('main');
     const win = new BrowserWindow({
         width: 1280, height: 720, minWidth: 940, minHeight: 600,
+        ...(saved ? { x: saved.x, y: saved.y, width: saved.width, height: saved.height } : {}),
         backgroundColor: '#121212',
         webPreferences: {
             preload: path.join(__dirname, 'preload.js'),
@@ -291,6 +2212,21 @@ function createWindow() {
         titleBarStyle: 'hidden'
     });
     win.setMenuBarVisibility(false);
+    mainWindow = win;
+    if (saved?.isMaximized) win.maximize();
+    win.on('closed', () => {
+        if (mainWindow === win) mainWindow = null;
+        if (miniPlayerWindow) miniPlayerWindow.destroy(); // Nothing is playing without the main renderer
+    });
+    win.on('close', (event) => {
+        saveWindowBounds('main', win);
+        // Keep playing in the background when the user chose to close to the tray.
+        if (isQuitting || !tray || !isCloseToTrayEnabled()) return;
+        event.preventDefault();
+        win.hide();
+    });
+    win.on('show', updateTrayMenu);
+    win.on('hide', updateTrayMenu);
 
     // Send maximize/unmaximize events to the renderer
     win.on('maximize', () => win.webContents.send('is-maximized-changed', true));
@@ -299,24 +2235,46 @@ function createWindow() {
     win.loadFile('index.html');
 }
 
+// A second launch focuses the running player instead of starting another one.
+const hasSingleInstanceLock = app.requestSingleInstanceLock();
+if (!hasSingleInstanceLock) app.quit();
+app.on('second-instance', () => { if (app.isReady()) showMainWindow(); });
+
 app.whenReady().then(() => {
+    if (!hasSingleInstanceLock) return;
     session.defaultSession.webRequest.onHeadersReceived((details, callback) => {
+        const responseHeaders = { ...details.responseHeaders };
+        // The audio elements load streams with CORS so the equalizer's Web Audio graph can read them.
+        if (/^https:\/\/[^/]+\.googlevideo\.com\//.test(details.url)) {
+            Object.keys(responseHeaders).filter(name => name.toLowerCase() === 'access-control-allow-origin').forEach(name => delete responseHeaders[name]);
+            responseHeaders['Access-Control-Allow-Origin'] = ['*'];
+        }
         callback({
             responseHeaders: {
-                ...details.responseHeaders,
+                ...responseHeaders,
                 'Content-Security-Policy': [
-                    "default-src 'self'; script-src 'self' https://cdn.jsdelivr.net; media-src https://*.googlevideo.com; style-src 'self' 'unsafe-inline'; img-src 'self' https: data:; object-src 'none'; frame-ancestors 'none';"
+                    "default-src 'self'; script-src 'self' https://cdn.jsdelivr.net; media-src https://*.googlevideo.com file:; style-src 'self' 'unsafe-inline'; img-src 'self' https: data:; object-src 'none'; frame-ancestors 'none';"
                 ]
             }
         });
     });
     createWindow();
+    setupTray();
+    registerMediaShortcuts();
+    mprisPlayer = setupMprisPlayer();
 });
 
-app.on('activate', () => { 
-    if (BrowserWindow.getAllWindows().length === 0) createWindow(); 
+app.on('before-quit', () => { isQuitting = true; });
+
+app.on('will-quit', () => {
+    writeUserDataNow();
+    responseCache.writeNow();
+    globalShortcut.unregisterAll();
+    downloadManager.items.forEach(item => { if (item.process) downloadManager.cancel(item.song.id); });
 });
 
+app.on('activate', showMainWindow);
+
 app.on('window-all-closed', () => { 
     if (process.platform !== 'darwin') app.quit(); 
 });
\ No newline at end of file
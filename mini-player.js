@@ -0,0 +1,94 @@
+/*
+ * MetroWave Mini-Player
+ *
+ * Renderer for the compact mini-player window. It holds no audio of its own: it
+ * shows the state the main window publishes and sends playback commands back to it.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const artworkEl = document.getElementById('mini-artwork');
+    const titleEl = document.getElementById('mini-title');
+    const artistEl = document.getElementById('mini-artist');
+    const progressBar = document.getElementById('mini-progress');
+    const currentTimeEl = document.getElementById('mini-current-time');
+    const durationEl = document.getElementById('mini-duration');
+    const playPauseBtn = document.getElementById('mini-play-pause-btn');
+    const likeBtn = document.getElementById('mini-like-btn');
+    const pinBtn = document.getElementById('mini-pin-btn');
+
+    let media = null; // Last state from the main window
+    let receivedAt = 0; // When `media` arrived, to advance the position between updates
+    let isSeeking = false;
+
+    function formatTime(s) {
+        if (isNaN(s)) return '0:00';
+        const minutes = Math.floor(s / 60);
+        const seconds = Math.floor(s % 60);
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * The main window only publishes its position every second or so, so the
+     * position is moved along locally while playing.
+     */
+    function getPosition() {
+        if (!media?.song) return 0;
+        const elapsed = media.isPlaying ? (Date.now() - receivedAt) / 1000 : 0;
+        return Math.min((media.position || 0) + elapsed, media.duration || Infinity);
+    }
+
+    function renderProgress() {
+        if (isSeeking) return;
+        const duration = media?.duration || 0;
+        const position = getPosition();
+        progressBar.value = duration > 0 ? (position / duration) * 100 : 0;
+        currentTimeEl.textContent = formatTime(position);
+        durationEl.textContent = formatTime(duration);
+    }
+
+    function render(state) {
+        media = state.media;
+        receivedAt = Date.now();
+        const song = media?.song;
+        titleEl.textContent = song?.title || 'Nothing playing';
+        artistEl.textContent = song?.artists?.length ? song.artists.join(', ') : '–';
+        titleEl.title = titleEl.textContent;
+        const artworkUrl = song?.artworkUrl || 'assets/icons/default-art.png';
+        if (artworkEl.getAttribute('src') !== artworkUrl) artworkEl.src = artworkUrl;
+        playPauseBtn.classList.toggle('playing', !!media?.isPlaying);
+        likeBtn.classList.toggle('liked', !!media?.isLiked);
+        pinBtn.classList.toggle('active', state.isAlwaysOnTop);
+        document.body.classList.toggle('is-empty', !song);
+        renderProgress();
+    }
+
+    window.electronAPI.onMiniPlayerState(render);
+    setInterval(renderProgress, 500);
+
+    artworkEl.onerror = () => { artworkEl.src = 'assets/icons/default-art.png'; };
+    playPauseBtn.onclick = () => window.electronAPI.sendMiniPlayerCommand('play-pause');
+    document.getElementById('mini-next-btn').onclick = () => window.electronAPI.sendMiniPlayerCommand('next');
+    document.getElementById('mini-prev-btn').onclick = () => window.electronAPI.sendMiniPlayerCommand('previous');
+    likeBtn.onclick = () => window.electronAPI.sendMiniPlayerCommand('toggle-like');
+    pinBtn.onclick = () => window.electronAPI.miniPlayerAction('toggle-always-on-top');
+    document.getElementById('mini-expand-btn').onclick = () => window.electronAPI.miniPlayerAction('expand');
+    document.getElementById('mini-minimize-btn').onclick = () => window.electronAPI.minimizeWindow();
+
+    // Seek once the slider is released, rather than on every step while dragging.
+    progressBar.oninput = () => {
+        isSeeking = true;
+        currentTimeEl.textContent = formatTime((progressBar.value / 100) * (media?.duration || 0));
+    };
+    progressBar.onchange = () => {
+        isSeeking = false;
+        if (!media?.duration) return;
+        window.electronAPI.sendMiniPlayerCommand('seek', (progressBar.value / 100) * media.duration);
+    };
+
+    document.addEventListener('keydown', (e) => {
+        if (e.code === 'Space') {
+            e.preventDefault();
+            window.electronAPI.sendMiniPlayerCommand('play-pause');
+        }
+    });
+});
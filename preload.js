@@ -20,6 +20,15 @@ const isValidVideoId = (videoId) => {
   return typeof videoId === 'string' && videoId.length === 11 && /^[a-zA-Z0-9_-]+$/.test(videoId);
 };
 
+/**
+ * Validates a YouTube Music browse ID (artist, album or playlist).
+ * @param {any} browseId The browse ID to validate.
+ * @returns {boolean} True if the browse ID is a non-empty, URL-safe string.
+ */
+const isValidBrowseId = (browseId) => {
+  return typeof browseId === 'string' && browseId.length > 0 && browseId.length <= 128 && /^[a-zA-Z0-9_-]+$/.test(browseId);
+};
+
 
 // --- Expose a secure API to the Renderer Process ---
 
@@ -28,13 +37,28 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // --- Search and Browse ---
 
   /**
-   * Performs a search on YouTube Music.
+   * Performs a search on YouTube Music across songs, videos, albums, playlists and artists.
    * @param {string} query The search query.
    * @param {string} countryCode The user's country code for localized results.
-   * @returns {Promise<object>} A promise that resolves with the search results.
+   * @returns {Promise<object>} A promise that resolves with `{ items, continuation }` for each result type.
    */
   searchYoutube: (query, countryCode) => ipcRenderer.invoke('search-youtube', query, countryCode),
 
+  /**
+   * Loads the next page of search results for one result type.
+   * @param {string} query The search query.
+   * @param {string} type One of 'songs', 'videos', 'albums', 'playlists' or 'artists'.
+   * @param {string} continuation The continuation token returned with the previous page.
+   * @param {string} countryCode The user's country code for localized results.
+   * @returns {Promise<{items: object[], continuation: string|null}>} A promise that resolves with the next page.
+   */
+  searchMore: (query, type, continuation, countryCode) => {
+    if (typeof continuation === 'string' && continuation.length > 0) {
+      return ipcRenderer.invoke('search-more', query, type, continuation, countryCode);
+    }
+    return Promise.resolve({ items: [], continuation: null });
+  },
+
   /**
    * Fetches the main sections for the home/explore page.
    * @param {string} countryCode The user's country code.
@@ -46,9 +70,49 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * Fetches the details of an album or playlist.
    * @param {object} details An object containing the item's ID and type.
    * @param {string} countryCode The user's country code.
+   * @param {{refresh?: boolean}} [options] Set `refresh` to skip the cache and fetch the latest version.
    * @returns {Promise<object|null>} A promise that resolves with the browse details.
    */
-  getBrowseDetails: (details, countryCode) => ipcRenderer.invoke('get-browse-details', details, countryCode),
+  getBrowseDetails: (details, countryCode, options = {}) => ipcRenderer.invoke('get-browse-details', details, countryCode, options),
+
+  /**
+   * Fetches an artist's page with top songs, albums, singles and similar artists.
+   * @param {string} artistId The artist's browse ID.
+   * @param {string} countryCode The user's country code.
+   * @returns {Promise<object|null>} A promise that resolves with the artist details.
+   */
+  getArtistDetails: (artistId, countryCode) => {
+    if (isValidBrowseId(artistId)) {
+      return ipcRenderer.invoke('get-artist-details', artistId, countryCode);
+    }
+    return Promise.resolve(null);
+  },
+
+  /**
+   * Fetches all songs by an artist.
+   * @param {string} artistId The artist's browse ID.
+   * @param {string} countryCode The user's country code.
+   * @returns {Promise<Array>} A promise that resolves with an array of song objects.
+   */
+  getArtistSongs: (artistId, countryCode) => {
+    if (isValidBrowseId(artistId)) {
+      return ipcRenderer.invoke('get-artist-songs', artistId, countryCode);
+    }
+    return Promise.resolve([]);
+  },
+
+  /**
+   * Fetches all albums by an artist.
+   * @param {string} artistId The artist's browse ID.
+   * @param {string} countryCode The user's country code.
+   * @returns {Promise<Array>} A promise that resolves with an array of album objects.
+   */
+  getArtistAlbums: (artistId, countryCode) => {
+    if (isValidBrowseId(artistId)) {
+      return ipcRenderer.invoke('get-artist-albums', artistId, countryCode);
+    }
+    return Promise.resolve([]);
+  },
 
   /**
    * Fetches search suggestions based on the user's query.
@@ -71,17 +135,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return Promise.resolve([]); // Return empty array for invalid ID
   },
 
+  /**
+   * Fetches lyrics for a song, trying each lyrics provider in turn. Results are cached by videoId.
+   * @param {object} song The song object (id, title, artists, album, duration).
+   * @param {string} countryCode The user's country code.
+   * @returns {Promise<{synced?: Array<{time: number, text: string}>, plain?: string[], source: string}|null>}
+   * A promise that resolves with time-synced or plain lyrics, or null if none were found.
+   */
+  getLyrics: (song, countryCode) => {
+    if (song && isValidVideoId(song.id)) {
+      const { id, title, artists, album, duration } = song;
+      return ipcRenderer.invoke('get-lyrics', { id, title, artists, album, duration }, countryCode);
+    }
+    return Promise.resolve(null);
+  },
+
 
   // --- Media & File System ---
 
   /**
    * Fetches the direct URL for an audio stream.
    * @param {string} videoId The ID of the video.
+   * @param {{refresh?: boolean}} [options] Set `refresh` to skip the cached URL, e.g. after it failed to play.
    * @returns {Promise<string|null>} A promise that resolves with the stream URL.
    */
-  getAudioStream: (videoId) => {
+  getAudioStream: (videoId, options = {}) => {
     if (isValidVideoId(videoId)) {
-      return ipcRenderer.invoke('get-audio-stream', videoId);
+      return ipcRenderer.invoke('get-audio-stream', videoId, options);
     }
     return Promise.resolve(null);
   },
@@ -104,31 +184,237 @@ contextBridge.exposeInMainWorld('electronAPI', {
   cancelVideoStream: () => ipcRenderer.send('cancel-video-stream'),
 
   /**
-   * Initiates a download of the audio for a given video.
+   * Saves the audio for a given video to a user-chosen file. Songs in the offline
+   * library are copied from disk instead of being downloaded again.
    * @param {string} videoId The ID of the video to download.
    * @param {string} filename The proposed default filename.
+   * @param {object} [song] The song object, used to tag the file with its title, artists, album and cover art.
    * @returns {Promise<string>} A promise that resolves with the final file path on success.
    */
-  downloadAudio: (videoId, filename) => {
+  downloadAudio: (videoId, filename, song) => {
     if (isValidVideoId(videoId)) {
-      return ipcRenderer.invoke('download-audio', videoId, filename);
+      return ipcRenderer.invoke('download-audio', videoId, filename, song);
     }
     return Promise.reject(new Error('Invalid videoId for download.'));
   },
 
+  // --- Download Manager & Offline Library ---
+
+  /**
+   * Adds songs to the download queue. Songs already in the library are marked completed.
+   * @param {object[]} songs The songs to download.
+   * @returns {Promise<object[]>} A promise that resolves with the current download items.
+   */
+  enqueueDownloads: (songs) => {
+    const validSongs = (Array.isArray(songs) ? songs : []).filter(song => song && isValidVideoId(song.id));
+    return ipcRenderer.invoke('enqueue-downloads', validSongs);
+  },
+
+  /**
+   * Lists every download item with its status and progress.
+   * @returns {Promise<object[]>}
+   */
+  getDownloads: () => ipcRenderer.invoke('get-downloads'),
+
+  /**
+   * Cancels a queued or running download.
+   * @param {string} videoId The ID of the video being downloaded.
+   * @returns {Promise<boolean>} True if a download was canceled.
+   */
+  cancelDownload: (videoId) => isValidVideoId(videoId) ? ipcRenderer.invoke('cancel-download', videoId) : Promise.resolve(false),
+
+  /**
+   * Re-queues a failed or canceled download.
+   * @param {string} videoId The ID of the video to retry.
+   * @returns {Promise<boolean>} True if the download was re-queued.
+   */
+  retryDownload: (videoId) => isValidVideoId(videoId) ? ipcRenderer.invoke('retry-download', videoId) : Promise.resolve(false),
+
+  /**
+   * Removes completed and canceled items from the download list.
+   * @returns {Promise<object[]>} A promise that resolves with the remaining download items.
+   */
+  clearFinishedDownloads: () => ipcRenderer.invoke('clear-finished-downloads'),
+
+  /**
+   * Sets how many downloads may run at the same time.
+   * @param {number} limit The maximum number of simultaneous downloads.
+   */
+  setDownloadConcurrency: (limit) => ipcRenderer.send('set-download-concurrency', limit),
+
+  /**
+   * Sets the output format and bitrate used for new downloads.
+   * @param {{format: string, bitrate: number}} options One of mp3/m4a/opus/flac and a bitrate from 128 to 320 kbps.
+   */
+  setDownloadOptions: (options) => ipcRenderer.send('set-download-options', options),
+
+  /**
+   * Registers a callback for download status and progress updates.
+   * @param {function(object): void} callback Receives the updated download item.
+   */
+  onDownloadProgress: (callback) => ipcRenderer.on('download-progress', (_event, item) => callback(item)),
+
+  /**
+   * Lists the songs stored in the offline library.
+   * @returns {Promise<object[]>} A promise that resolves with the downloaded songs, newest first.
+   */
+  getLibrary: () => ipcRenderer.invoke('get-library'),
+
   /**
-   * Opens a dialog to save a playlist to a JSON file.
+   * Deletes a downloaded song from the offline library.
+   * @param {string} videoId The ID of the downloaded video.
+   * @returns {Promise<boolean>} True if the song was removed.
+   */
+  deleteLibraryTrack: (videoId) => isValidVideoId(videoId) ? ipcRenderer.invoke('delete-library-track', videoId) : Promise.resolve(false),
+
+  /**
+   * Opens a dialog to save a playlist to a file.
    * @param {string} playlistJSON The playlist data as a JSON string.
+   * @param {string} [format='json'] One of 'json', 'm3u8', 'xspf' or 'csv'.
    * @returns {Promise<object>} A promise that resolves with the result of the export operation.
    */
-  exportPlaylist: (playlistJSON) => ipcRenderer.invoke('export-playlist', playlistJSON),
+  exportPlaylist: (playlistJSON, format = 'json') => ipcRenderer.invoke('export-playlist', playlistJSON, format),
 
   /**
-   * Opens a dialog to import a playlist from a JSON file.
-   * @returns {Promise<object>} A promise that resolves with the imported playlist data.
+   * Opens a dialog to import a playlist from a JSON, M3U8, XSPF or CSV file.
+   * @returns {Promise<object>} A promise that resolves with `{ name, entries }`. Entries without an `id`,
+   * or with an `id` but no title, still need to be matched to a song with `matchSong`.
    */
   importPlaylist: () => ipcRenderer.invoke('import-playlist'),
 
+  /**
+   * Searches for the song that best matches an imported entry.
+   * @param {{id?: string, title: string, artists: string[], duration: number}} entry What the playlist file says about the track.
+   * An entry with an `id` but no title is looked up by that id.
+   * @param {string} countryCode The user's country code.
+   * @returns {Promise<{match: object|null, confidence: number, candidates: Array<{song: object, confidence: number}>}>}
+   */
+  matchSong: (entry, countryCode) => ipcRenderer.invoke('match-song', entry, countryCode),
+
+  // --- User Data Store ---
+
+  /**
+   * Loads all stored user data (liked songs, playlists, history and preferences).
+   * @returns {Promise<{data: object, needsLegacyImport: boolean}>} `needsLegacyImport` is true until
+   * data from an older version's localStorage has been imported.
+   */
+  getUserData: () => ipcRenderer.invoke('get-user-data'),
+
+  /**
+   * Imports the raw localStorage values of an older version into the store, once.
+   * @param {Object<string, string>} legacyValues The localStorage values by key.
+   * @returns {Promise<{data: object, imported: boolean}>} The stored data and whether the import was saved.
+   */
+  importLegacyUserData: (legacyValues) => ipcRenderer.invoke('import-legacy-user-data', legacyValues),
+
+  /**
+   * Stores one value. Writes are batched in the main process.
+   * @param {string} key The data key, e.g. 'likedSongs'.
+   * @param {any} value A JSON-serializable value, or null to remove the key.
+   */
+  setUserDataValue: (key, value) => ipcRenderer.send('set-user-data-value', key, value),
+
+  // --- Backup & Restore ---
+
+  /**
+   * Opens a dialog to save liked songs, playlists, listening history and preferences to one backup file.
+   * @returns {Promise<{success: boolean, contents?: object, error?: string}>}
+   */
+  exportBackup: () => ipcRenderer.invoke('export-backup'),
+
+  /**
+   * Opens a dialog to pick a backup file and describes what restoring it would change.
+   * Nothing is restored until `restoreBackup` is called.
+   * @returns {Promise<{success: boolean, manifest?: object, summary?: object, error?: string}>}
+   */
+  readBackup: () => ipcRenderer.invoke('read-backup'),
+
+  /**
+   * Restores the backup picked with `readBackup`.
+   * @param {Object<string, string>} choices 'merge', 'replace' or 'skip' for each data type in the summary.
+   * @returns {Promise<{success: boolean, data?: object, error?: string}>} `data` is the restored user data store.
+   */
+  restoreBackup: (choices) => ipcRenderer.invoke('restore-backup', choices),
+
+  // --- Listening History ---
+
+  /**
+   * Records one play of a song in the listening history.
+   * @param {{timestamp: number, song: object, secondsListened: number, skipped: boolean, completed: boolean}} playEvent
+   */
+  recordPlayEvent: (playEvent) => {
+    if (playEvent && playEvent.song && isValidVideoId(playEvent.song.id)) {
+      ipcRenderer.send('record-play-event', playEvent);
+    }
+  },
+
+  /**
+   * Reads the recorded plays, oldest first.
+   * @param {number} [since=0] Only plays at or after this timestamp (in ms) are returned.
+   * @returns {Promise<object[]>} A promise that resolves with the play events.
+   */
+  getListeningHistory: (since = 0) => ipcRenderer.invoke('get-listening-history', since),
+
+  // --- OS Media Integration ---
+
+  /**
+   * Registers a callback for playback commands coming from global media keys or the OS media overlay.
+   * @param {function(string, number=): void} callback Receives the command name and an optional value (e.g. a seek position in seconds).
+   */
+  onMediaCommand: (callback) => ipcRenderer.on('media-command', (_event, command, value) => callback(command, value)),
+
+  /**
+   * Sends the current now-playing state to the main process for the OS media integration.
+   * @param {object} state The current song, play state, position and duration.
+   */
+  updateMediaState: (state) => ipcRenderer.send('media-state-changed', state),
+
+  // --- Cache ---
+
+  /**
+   * Reports how much the main-process cache of streams, searches and pages holds.
+   * @returns {Promise<{entries: number, bytes: number, isPersistent: boolean}>}
+   */
+  getCacheStats: () => ipcRenderer.invoke('get-cache-stats'),
+
+  /**
+   * Empties the cache, including its copy on disk.
+   * @returns {Promise<{entries: number, bytes: number, isPersistent: boolean}>} The stats after clearing.
+   */
+  clearCache: () => ipcRenderer.invoke('clear-cache'),
+
+  /**
+   * Turns keeping cached metadata on disk between restarts on or off.
+   * @param {boolean} enabled
+   */
+  setCachePersistence: (enabled) => ipcRenderer.send('set-cache-persistence', enabled),
+
+  // --- Mini-Player ---
+
+  /**
+   * Switches to the mini-player. The main window is hidden but keeps playing.
+   */
+  showMiniPlayer: () => ipcRenderer.send('show-mini-player'),
+
+  /**
+   * Sends a playback command from the mini-player to the main window, which owns the audio.
+   * @param {'play-pause'|'next'|'previous'|'toggle-like'|'seek'} command The command to run.
+   * @param {number} [value] The position in seconds for 'seek'.
+   */
+  sendMiniPlayerCommand: (command, value) => ipcRenderer.send('mini-player-command', command, value),
+
+  /**
+   * Runs a mini-player window action.
+   * @param {'expand'|'toggle-always-on-top'} action 'expand' switches back to the main window.
+   */
+  miniPlayerAction: (action) => ipcRenderer.send('mini-player-action', action),
+
+  /**
+   * Registers a callback for the now-playing state shown in the mini-player.
+   * @param {function({media: object|null, isAlwaysOnTop: boolean}): void} callback
+   */
+  onMiniPlayerState: (callback) => ipcRenderer.on('mini-player-state', (_event, state) => callback(state)),
+
   // --- Window Controls ---
   minimizeWindow: () => ipcRenderer.send('minimize-window'),
   maximizeWindow: () => ipcRenderer.send('maximize-window'),
@@ -17,7 +17,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const searchInput = document.getElementById('search-input');
     const searchSuggestions = document.getElementById('search-suggestions');
     const notificationContainer = document.getElementById('notification-container');
-    const audioPlayer = document.getElementById('audioPlayer');
+    // The active and standby audio elements swap roles on gapless/crossfade transitions.
+    let audioPlayer = document.getElementById('audioPlayer');
+    let standbyPlayer = document.getElementById('standbyPlayer');
     const playerBar = document.getElementById('player-bar');
     const loadingOverlay = document.getElementById('loading-overlay');
     const playPauseBtn = document.getElementById('play-pause-btn');
@@ -50,6 +52,102 @@ document.addEventListener('DOMContentLoaded', () => {
     let isClosingVideoPlayer = false;
     let contextMenuSong = null;
     let latestPlayRequestToken = 0; // NEW: For handling rapid clicks
+    let restoredPlaybackPosition = null; // Saved position of a restored session, until the user presses play
+    let lastSessionSaveTime = 0;
+    let lastMediaStatePublishTime = 0;
+    let lastMediaCommand = { command: null, time: 0 };
+    let playbackTransition = 'off'; // 'off' | 'gapless' | 'crossfade'
+    let crossfadeSeconds = 5;
+    let isCrossfading = false;
+    let streamRecovery = null; // { songId, position, attempt, maxAttempts, isStarting, timer } while re-resolving a failed stream
+    let stallTimer = null;
+    let consecutivePlaybackFailures = 0;
+    let pendingStandbyPreload = null;
+    let downloadItems = new Map(); // videoId -> download item from the main process
+    let downloadConcurrency = 2;
+    let downloadOptions = { format: 'mp3', bitrate: 192 };
+    let activeRightPane = 'queue'; // 'queue' | 'lyrics'
+    let lyricsState = { songId: null, lyrics: null, isLoading: false, activeIndex: -1 };
+    let lyricsRequestToken = 0;
+    let keymap = {}; // action -> key combo, e.g. 'Ctrl+ArrowRight'
+    let recordingShortcutAction = null; // Action whose shortcut is being rebound in settings
+    let paletteEntries = [];
+    let paletteSuggestions = [];
+    let paletteSelectedIndex = 0;
+    let paletteSuggestionTimeout;
+    let searchState = null; // { query, results, activeTab } of the search results on screen
+    let audioGraph = null; // Web Audio nodes both audio elements play through
+    let audioSettings = null; // EQ, speed and channel settings in effect for the current song
+    let selection = { scope: null, songs: new Map(), anchorIndex: null }; // Multi-selected songs, by row position, in one list
+    let userData = {}; // In-memory copy of the main-process user data store, by key
+    let listeningSession = null; // { song, player, startedAt, secondsListened, lastPosition } of the song being listened to
+
+    const STREAM_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+    const STREAM_RECOVERY_DELAYS_MS = [1000, 3000, 8000]; // Wait before each retry of a failed stream
+    const STALL_TIMEOUT_MS = 10000; // How long playback may sit without progress before the stream is replaced
+    const MAX_CONSECUTIVE_SKIPS = 3; // Stop skipping when this many songs in a row fail, e.g. when offline
+
+    const SEARCH_TABS = { all: 'All', songs: 'Songs', videos: 'Videos', albums: 'Albums', playlists: 'Playlists', artists: 'Artists' };
+    const SEARCH_PREVIEW_LIMIT = 6; // Results per type on the "All" tab
+    const PLAYLIST_EXPORT_FORMATS = { json: 'MetroWave (JSON)', m3u8: 'M3U8', xspf: 'XSPF', csv: 'CSV' };
+    const IMPORT_MATCH_CONFIDENCE = 0.8; // Matches below this are shown for review before importing
+    const STATS_PERIODS = { week: 'Last 7 Days', month: 'Last 30 Days', year: 'Last 12 Months', recap: 'Your Year' };
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const EQ_BANDS = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]; // Hz
+    const EQ_GAIN_LIMIT = 12; // dB, for the bands and the preamp
+    const EQ_PRESETS = {
+        flat: { label: 'Flat', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+        bassBoost: { label: 'Bass Boost', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+        trebleBoost: { label: 'Treble Boost', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+        vocal: { label: 'Vocal', gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+        rock: { label: 'Rock', gains: [5, 4, 2, -1, -2, -1, 2, 3, 4, 4] },
+        pop: { label: 'Pop', gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+        jazz: { label: 'Jazz', gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+        classical: { label: 'Classical', gains: [4, 3, 2, 1, 0, 0, 0, 1, 2, 3] },
+        electronic: { label: 'Electronic', gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+        lateNight: { label: 'Late Night', gains: [-3, -2, 0, 1, 2, 2, 1, 0, -2, -3] }
+    };
+    const DEFAULT_AUDIO_SETTINGS = { preset: 'flat', gains: EQ_PRESETS.flat.gains, preamp: 0, rate: 1, preservesPitch: true, mono: false, balance: 0 };
+
+    // Keyboard shortcuts, in the order they are listed in settings. `repeat` lets the action fire while the key is held.
+    const SHORTCUT_ACTIONS = {
+        'play-pause': { label: 'Play / Pause', defaultKeys: 'Space' },
+        'next': { label: 'Next Song', defaultKeys: 'Ctrl+ArrowRight' },
+        'previous': { label: 'Previous Song', defaultKeys: 'Ctrl+ArrowLeft' },
+        'seek-forward': { label: 'Seek Forward 5s', defaultKeys: 'ArrowRight', repeat: true },
+        'seek-backward': { label: 'Seek Backward 5s', defaultKeys: 'ArrowLeft', repeat: true },
+        'volume-up': { label: 'Volume Up', defaultKeys: 'ArrowUp', repeat: true },
+        'volume-down': { label: 'Volume Down', defaultKeys: 'ArrowDown', repeat: true },
+        'like': { label: 'Like Current Song', defaultKeys: 'L' },
+        'focus-search': { label: 'Focus Search', defaultKeys: 'Ctrl+F' },
+        'view-home': { label: 'Go to Home', defaultKeys: 'Ctrl+1' },
+        'view-explore': { label: 'Go to Explore', defaultKeys: 'Ctrl+2' },
+        'view-playlists': { label: 'Go to Playlists', defaultKeys: 'Ctrl+3' },
+        'view-settings': { label: 'Go to Settings', defaultKeys: 'Ctrl+,' },
+        'open-queue': { label: 'Open Queue', defaultKeys: 'Q' },
+        'back': { label: 'Go Back', defaultKeys: 'Alt+ArrowLeft' },
+        'forward': { label: 'Go Forward', defaultKeys: 'Alt+ArrowRight' },
+        'command-palette': { label: 'Command Palette', defaultKeys: 'Ctrl+K' },
+        'select-all': { label: 'Select All Songs', defaultKeys: 'Ctrl+A' },
+        'clear-selection': { label: 'Clear Selection', defaultKeys: 'Escape' }
+    };
+
+    // Smart playlist rule fields. `type` picks the operators offered for the field in SMART_RULE_OPERATORS.
+    const SMART_RULE_FIELDS = {
+        liked: { label: 'Date liked', type: 'age' },
+        lastPlayed: { label: 'Last played', type: 'age' },
+        playCount: { label: 'Play count', type: 'number' },
+        duration: { label: 'Duration (minutes)', type: 'number' },
+        artist: { label: 'Artist', type: 'text' },
+        title: { label: 'Title', type: 'text' },
+        album: { label: 'Album', type: 'text' }
+    };
+    const SMART_RULE_OPERATORS = {
+        age: { inLast: 'is in the last (days)', notInLast: 'is not in the last (days)' },
+        number: { gt: 'is more than', lt: 'is less than' },
+        text: { is: 'is', contains: 'contains', isNot: 'is not' }
+    };
+    const SMART_PLAYLIST_SORTS = { recent: 'Recently played', mostPlayed: 'Most played', liked: 'Recently liked', title: 'Title', random: 'Random' };
 
     // =========================================================================
     // --- 2. Helper & Utility Functions ---
@@ -69,6 +167,12 @@ document.addEventListener('DOMContentLoaded', () => {
         setTimeout(() => { toast.remove(); }, duration);
     }
 
+    function formatByteSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     function formatTime(s) {
         if (isNaN(s)) return '0:00';
         const minutes = Math.floor(s / 60);
@@ -76,33 +180,188 @@ document.addEventListener('DOMContentLoaded', () => {
         return `${minutes}:${String(seconds).padStart(2, '0')}`;
     }
 
+    /**
+     * Reads the expiry time from a googlevideo stream URL's `expire` parameter.
+     * @returns {number|null} The expiry as a millisecond timestamp, or null if the URL has none.
+     */
+    function getStreamExpiry(url) {
+        if (!url) return null;
+        try {
+            const expire = Number(new URL(url).searchParams.get('expire'));
+            return expire ? expire * 1000 : null;
+        } catch (e) { return null; }
+    }
+
+    function isStreamUrlExpired(url) {
+        const expiresAt = getStreamExpiry(url);
+        return expiresAt !== null && expiresAt - Date.now() < STREAM_EXPIRY_MARGIN_MS;
+    }
+
+    /**
+     * Recognizes a pasted music.youtube.com (or youtube.com) playlist or album link.
+     * @returns {{id: string, type: 'playlist'|'album'|'artist'}|null}
+     */
+    function parseYouTubeMusicUrl(text) {
+        let url;
+        try { url = new URL(text.trim()); } catch (e) { return null; }
+        if (!/(^|\.)youtube\.com$/.test(url.hostname)) return null;
+        const listId = url.searchParams.get('list');
+        // `RD` lists are auto-generated radio mixes that can't be browsed like a playlist.
+        if (listId && !listId.startsWith('RD')) return { id: listId, type: 'playlist' };
+        const browseId = url.pathname.match(/^\/(?:browse|channel)\/([a-zA-Z0-9_-]+)/)?.[1];
+        if (!browseId) return null;
+        if (browseId.startsWith('MPREb_')) return { id: browseId, type: 'album' };
+        if (browseId.startsWith('UC')) return { id: browseId, type: 'artist' };
+        return { id: browseId.replace(/^VL/, ''), type: 'playlist' };
+    }
+
+    function shuffleArray(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
     // =========================================================================
-    // --- 3. Data Management & Preferences (LocalStorage) ---
+    // --- 3. Data Management & Preferences (Main-Process Store) ---
     // =========================================================================
 
+    // Keys that older versions kept in localStorage, imported into the store on first launch.
+    const LEGACY_STORAGE_KEYS = [
+        'likedSongs', 'userPlaylists', 'recentlyPlayed', 'songPlayStats', 'playbackSession', 'userKeymapPref',
+        'userCountryPref', 'userThemePref', 'userAnimationsPref', 'userTransitionPref', 'userCrossfadePref',
+        'userDownloadConcurrencyPref', 'userDownloadFormatPref', 'userDownloadBitratePref'
+    ];
+
+    /**
+     * Loads the user data store, importing the localStorage data of older versions the first time.
+     */
+    async function loadUserData() {
+        let result = await window.electronAPI.getUserData();
+        if (result.needsLegacyImport) {
+            const legacyValues = Object.fromEntries(LEGACY_STORAGE_KEYS
+                .map(key => [key, localStorage.getItem(key)])
+                .filter(([, value]) => value !== null));
+            result = await window.electronAPI.importLegacyUserData(legacyValues);
+            if (result.imported) LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+        }
+        userData = result.data || {};
+    }
+
+    /**
+     * Returns a copy of a stored value, so callers can change it freely before saving it back.
+     */
+    function getStoredValue(key, fallback) {
+        const value = userData[key];
+        if (value === undefined) return fallback;
+        return typeof value === 'object' && value !== null ? structuredClone(value) : value;
+    }
+
+    function setStoredValue(key, value) {
+        userData[key] = value;
+        window.electronAPI.setUserDataValue(key, value);
+    }
+
+    function removeStoredValue(key) {
+        delete userData[key];
+        window.electronAPI.setUserDataValue(key, null);
+    }
+
     function loadPreferences() {
-        userCountry = localStorage.getItem('userCountryPref') || 'US';
-        likedSongs = JSON.parse(localStorage.getItem('likedSongs') || '[]');
+        userCountry = getStoredValue('userCountryPref', 'US');
+        likedSongs = getStoredValue('likedSongs', []);
         
-        const savedTheme = localStorage.getItem('userThemePref') || 'default';
+        const savedTheme = getStoredValue('userThemePref', 'default');
         applyTheme(savedTheme);
 
-        const animationsEnabled = localStorage.getItem('userAnimationsPref') === 'true';
+        const animationsEnabled = getStoredValue('userAnimationsPref', false);
         applyAnimationSetting(animationsEnabled);
+
+        playbackTransition = getStoredValue('userTransitionPref', 'off');
+        crossfadeSeconds = getStoredValue('userCrossfadePref', 5);
+
+        downloadConcurrency = getStoredValue('userDownloadConcurrencyPref', 2);
+        window.electronAPI.setDownloadConcurrency(downloadConcurrency);
+        downloadOptions = {
+            format: getStoredValue('userDownloadFormatPref', 'mp3'),
+            bitrate: getStoredValue('userDownloadBitratePref', 192)
+        };
+        window.electronAPI.setDownloadOptions(downloadOptions);
+
+        keymap = loadKeymap();
+    }
+
+    function getDefaultKeymap() {
+        return Object.fromEntries(Object.entries(SHORTCUT_ACTIONS).map(([action, { defaultKeys }]) => [action, defaultKeys]));
+    }
+
+    /**
+     * Only rebound shortcuts are stored, so new actions pick up their defaults.
+     * An empty string means the user removed that shortcut.
+     */
+    function loadKeymap() {
+        const keymap = getDefaultKeymap();
+        for (const [action, keys] of Object.entries(getStoredValue('userKeymapPref', {}))) {
+            if (action in keymap && typeof keys === 'string') keymap[action] = keys;
+        }
+        return keymap;
+    }
+
+    function saveKeymap() {
+        const defaults = getDefaultKeymap();
+        const changed = Object.fromEntries(Object.entries(keymap).filter(([action, keys]) => keys !== defaults[action]));
+        setStoredValue('userKeymapPref', changed);
+    }
+
+    function saveDownloadOptions(options) {
+        downloadOptions = { ...downloadOptions, ...options };
+        setStoredValue('userDownloadFormatPref', downloadOptions.format);
+        setStoredValue('userDownloadBitratePref', downloadOptions.bitrate);
+        window.electronAPI.setDownloadOptions(downloadOptions);
+    }
+
+    function getCustomEqPresets() {
+        return getStoredValue('userEqPresets', []);
+    }
+
+    function saveTransitionPreference(mode, seconds) {
+        playbackTransition = mode;
+        crossfadeSeconds = seconds;
+        setStoredValue('userTransitionPref', mode);
+        setStoredValue('userCrossfadePref', seconds);
     }
 
     function saveCountryPreference(countryCode) {
         userCountry = countryCode;
-        localStorage.setItem('userCountryPref', countryCode);
+        setStoredValue('userCountryPref', countryCode);
+    }
+
+    function changeRegion(countryCode, regionName) {
+        saveCountryPreference(countryCode);
+        showNotification(`Explore region set to ${regionName}.`, 'success');
+        loadView('explore');
+    }
+
+    function changeLanguage(language, languageName) {
+        setStoredValue('userLanguagePref', language);
+        showNotification(`Content language set to ${languageName}.`, 'success');
+        loadView('explore');
+    }
+
+    function clearRecentlyPlayed() {
+        removeStoredValue('recentlyPlayed');
+        showNotification('Recently Played list cleared');
     }
 
     function saveLikedSongs() {
-        localStorage.setItem('likedSongs', JSON.stringify(likedSongs));
+        setStoredValue('likedSongs', likedSongs);
+        refreshSmartPlaylistViews();
     }
 
     function applyTheme(themeName) {
         document.body.dataset.theme = themeName;
-        localStorage.setItem('userThemePref', themeName);
+        setStoredValue('userThemePref', themeName);
         if (themeName !== 'dynamic') {
              document.body.style.cssText = ''; // Clear dynamic styles
         }
@@ -110,16 +369,21 @@ document.addEventListener('DOMContentLoaded', () => {
     
     function applyAnimationSetting(isEnabled) {
         document.body.classList.toggle('animations-enabled', isEnabled);
-        localStorage.setItem('userAnimationsPref', isEnabled);
+        setStoredValue('userAnimationsPref', isEnabled);
     }
 
     function addSongToFavorites(song) {
         if (!song || !song.id) return;
-        const isAlreadyLiked = likedSongs.some(s => s.id === song.id);
-        if (!isAlreadyLiked) {
-            likedSongs.unshift(song);
+        addSongsToFavorites([song]);
+    }
+
+    function addSongsToFavorites(songs) {
+        const newSongs = songs.filter(song => song?.id && !likedSongs.some(s => s.id === song.id));
+        if (newSongs.length > 0) {
+            const likedAt = Date.now();
+            likedSongs.unshift(...newSongs.map(song => ({ ...song, likedAt })));
             saveLikedSongs();
-            showNotification('Added to Favorites', 'success');
+            showNotification(newSongs.length === 1 ? 'Added to Favorites' : `Added ${newSongs.length} songs to Favorites`, 'success');
             updateLikeButtonState();
             const homeHeader = mainView.querySelector('.view-header h1');
             if (homeHeader && homeHeader.textContent === 'Home') {
@@ -138,11 +402,12 @@ document.addEventListener('DOMContentLoaded', () => {
             likedSongs.splice(songIndex, 1);
             showNotification('Removed from Favorites');
         } else {
-            likedSongs.unshift(currentSong);
+            likedSongs.unshift({ ...currentSong, likedAt: Date.now() });
             showNotification('Added to Favorites', 'success');
         }
         saveLikedSongs();
         updateLikeButtonState();
+        publishMediaState();
         const homeHeader = mainView.querySelector('.view-header h1');
         if (homeHeader && homeHeader.textContent === 'Home') {
             loadHomeContent();
@@ -155,8 +420,128 @@ document.addEventListener('DOMContentLoaded', () => {
         likeBtn.classList.toggle('liked', isLiked);
     }
 
-    function getPlaylists() { return JSON.parse(localStorage.getItem('userPlaylists') || '[]'); }
-    function savePlaylists(playlists) { localStorage.setItem('userPlaylists', JSON.stringify(playlists)); }
+    /**
+     * Smart playlists are stored with their `smart` rules only; their `songs` are
+     * evaluated every time the playlists are read.
+     */
+    function getPlaylists() {
+        const playlists = getStoredValue('userPlaylists', []);
+        if (!playlists.some(p => p.smart)) return playlists;
+        const pool = getSmartPlaylistPool();
+        return playlists.map(p => p.smart ? { ...p, songs: evaluateSmartPlaylist(p.smart, pool) } : p);
+    }
+    function savePlaylists(playlists) {
+        const stored = playlists.map(p => p.smart ? (({ songs, ...rest }) => rest)(p) : p);
+        setStoredValue('userPlaylists', stored);
+    }
+    function getEditablePlaylists() { return getPlaylists().filter(p => !p.smart); }
+
+    function getPlayStats() { return getStoredValue('songPlayStats', {}); }
+
+    /**
+     * Every song a smart playlist can pick from: liked songs and everything that has been played,
+     * with the like time, play count and last play time the rules test against.
+     */
+    function getSmartPlaylistPool() {
+        const pool = new Map();
+        Object.values(getPlayStats()).forEach(({ song, count, lastPlayed }) => {
+            if (song?.id) pool.set(song.id, { song, likedAt: null, isLiked: false, playCount: count, lastPlayed });
+        });
+        likedSongs.forEach(song => {
+            const entry = pool.get(song.id) || { song, playCount: 0, lastPlayed: null };
+            pool.set(song.id, { ...entry, likedAt: song.likedAt || null, isLiked: true });
+        });
+        return [...pool.values()];
+    }
+
+    function matchesSmartRule(entry, rule) {
+        const field = SMART_RULE_FIELDS[rule.field];
+        if (!field) return false;
+        const { song } = entry;
+        if (field.type === 'age') {
+            const time = rule.field === 'liked' ? entry.likedAt : entry.lastPlayed;
+            if (rule.field === 'liked' && !entry.isLiked) return false;
+            const isRecent = !!time && Date.now() - time <= Number(rule.value) * 24 * 60 * 60 * 1000;
+            return rule.operator === 'notInLast' ? !isRecent : isRecent;
+        }
+        if (field.type === 'number') {
+            const value = rule.field === 'duration' ? (Number(song.duration) || 0) / 60 : entry.playCount;
+            return rule.operator === 'lt' ? value < Number(rule.value) : value > Number(rule.value);
+        }
+        const target = String(rule.value || '').trim().toLowerCase();
+        const values = (rule.field === 'artist' ? (song.artists || []) : [song[rule.field] || '']).map(v => String(v).toLowerCase());
+        if (rule.operator === 'contains') return values.some(v => v.includes(target));
+        if (rule.operator === 'isNot') return !values.includes(target);
+        return values.includes(target);
+    }
+
+    function evaluateSmartPlaylist(smart, pool = getSmartPlaylistPool()) {
+        const rules = smart.rules || [];
+        let entries = pool.filter(entry => rules.length === 0 ||
+            (smart.match === 'any' ? rules.some(rule => matchesSmartRule(entry, rule)) : rules.every(rule => matchesSmartRule(entry, rule))));
+        const sorters = {
+            recent: (a, b) => (b.lastPlayed || 0) - (a.lastPlayed || 0),
+            mostPlayed: (a, b) => b.playCount - a.playCount,
+            liked: (a, b) => (b.likedAt || 0) - (a.likedAt || 0),
+            title: (a, b) => (a.song.title || '').localeCompare(b.song.title || '')
+        };
+        if (smart.sort === 'random') entries = entries.map(entry => [Math.random(), entry]).sort((a, b) => a[0] - b[0]).map(([, entry]) => entry);
+        else entries.sort(sorters[smart.sort] || sorters.recent);
+        if (smart.limit > 0) entries = entries.slice(0, smart.limit);
+        return entries.map(entry => entry.song);
+    }
+
+    function describeSmartRules(smart) {
+        const rules = smart.rules || [];
+        if (rules.length === 0) return 'All liked and played songs';
+        return rules.map((rule, index) => {
+            const field = SMART_RULE_FIELDS[rule.field];
+            const label = (field?.label || rule.field).replace(/ \(minutes\)$/, '');
+            const operator = (SMART_RULE_OPERATORS[field?.type]?.[rule.operator] || '').replace(/ \(days\)$/, '');
+            const unit = field?.type === 'age' ? ' days' : rule.field === 'duration' ? ' min' : '';
+            return `${index === 0 ? label : label.toLowerCase()} ${operator} ${rule.value}${unit}`;
+        }).join(smart.match === 'any' ? ' or ' : ' and ');
+    }
+
+    /**
+     * Re-renders an open smart playlist or the playlists hub after likes or plays change,
+     * since smart playlist contents depend on them.
+     */
+    function refreshSmartPlaylistViews() {
+        const state = historyStack[historyIndex];
+        if (state?.type === 'view' && state.payload.viewName === 'playlists') {
+            loadPlaylistsHub();
+        } else if (state?.type === 'playlist') {
+            const playlist = getPlaylists().find(p => p.id === state.payload.playlistId);
+            if (!playlist?.smart || document.activeElement?.closest?.('.playlist-editable')) return;
+            const list = document.getElementById('playlist-song-list');
+            const shownIds = list ? [...list.querySelectorAll('.song-item')].map(row => getRowSong(row)?.id).join() : null;
+            if (shownIds === playlist.songs.map(song => song.id).join()) return updatePlaylistViewDetails(playlist);
+            const scrollTop = mainView.scrollTop;
+            loadPlaylistView(playlist.id, true).then(() => { mainView.scrollTop = scrollTop; });
+        }
+    }
+
+    function saveSmartPlaylist(playlistId, name, smart) {
+        const trimmedName = name.trim();
+        if (!trimmedName) {
+            showNotification("Playlist name cannot be empty.", 'error');
+            return false;
+        }
+        const playlists = getPlaylists();
+        const existing = playlists.find(p => p.id === playlistId);
+        if (existing) {
+            existing.name = trimmedName;
+            existing.smart = smart;
+        } else {
+            playlists.unshift({ id: `pl-${Date.now()}`, name: trimmedName, smart });
+        }
+        savePlaylists(playlists);
+        showNotification(existing ? "Smart playlist updated." : `Smart playlist "${escapeHTML(trimmedName)}" created!`, 'success');
+        if (existing) loadPlaylistView(existing.id, true);
+        else loadView('playlists');
+        return true;
+    }
 
     function createPlaylist(name) {
         const trimmedName = name.trim();
@@ -168,15 +553,65 @@ document.addEventListener('DOMContentLoaded', () => {
         loadView('playlists');
     }
 
+    /**
+     * Saves a YouTube Music album or playlist as a local playlist. `source` remembers where
+     * it came from, and which tracks it had, so it can be synced later.
+     */
+    function savePlaylistFromSource(details, browseId, type) {
+        const playlists = getPlaylists();
+        const existing = playlists.find(p => p.source?.browseId === browseId);
+        if (existing) {
+            showNotification(`Already saved as "${existing.name}"`);
+            return existing.id;
+        }
+        const playlist = {
+            id: `pl-${Date.now()}`,
+            name: details.title,
+            ...(details.artist ? { description: `${type === 'album' ? 'Album' : 'Playlist'} by ${details.artist}` } : {}),
+            songs: details.tracks,
+            source: { browseId, type, trackIds: details.tracks.map(song => song.id), syncedAt: Date.now() }
+        };
+        playlists.unshift(playlist);
+        savePlaylists(playlists);
+        showNotification(`Saved "${details.title}" to your library!`, 'success');
+        return playlist.id;
+    }
+
+    /**
+     * Applies upstream changes found by a sync: tracks added upstream are appended, tracks
+     * removed upstream are dropped, and songs the user added or removed locally are left alone.
+     */
+    function applyPlaylistSync(playlistId, upstreamTracks, removedIds) {
+        const playlists = getPlaylists();
+        const playlist = playlists.find(p => p.id === playlistId);
+        if (!playlist?.source) return;
+        const localIds = new Set(playlist.songs.map(song => song.id));
+        const previousIds = new Set(playlist.source.trackIds);
+        playlist.songs = [
+            ...playlist.songs.filter(song => !removedIds.has(song.id)),
+            ...upstreamTracks.filter(song => !previousIds.has(song.id) && !localIds.has(song.id))
+        ];
+        playlist.source = { ...playlist.source, trackIds: upstreamTracks.map(song => song.id), syncedAt: Date.now() };
+        savePlaylists(playlists);
+    }
+
     function addSongToPlaylist(playlistId, song) {
         if (!song || !song.id) return showNotification("Invalid song data.", 'error');
+        addSongsToPlaylist(playlistId, [song]);
+    }
+
+    function addSongsToPlaylist(playlistId, songs) {
         const playlists = getPlaylists();
         const playlist = playlists.find(p => p.id === playlistId);
         if (!playlist) return showNotification("Could not find the playlist.", 'error');
-        if (playlist.songs.some(s => s.id === song.id)) return showNotification(`Song is already in "${escapeHTML(playlist.name)}"`);
-        playlist.songs.push(song);
+        if (playlist.smart) return showNotification("Songs can't be added to a smart playlist.", 'error');
+        const newSongs = songs.filter(song => song?.id && !playlist.songs.some(s => s.id === song.id));
+        if (newSongs.length === 0) {
+            return showNotification(songs.length === 1 ? `Song is already in "${escapeHTML(playlist.name)}"` : `All songs are already in "${escapeHTML(playlist.name)}"`);
+        }
+        playlist.songs.push(...newSongs);
         savePlaylists(playlists);
-        showNotification(`Added to "${escapeHTML(playlist.name)}"`, 'success');
+        showNotification(newSongs.length === 1 ? `Added to "${escapeHTML(playlist.name)}"` : `Added ${newSongs.length} songs to "${escapeHTML(playlist.name)}"`, 'success');
     }
 
     function deletePlaylist(playlistId) {
@@ -189,22 +624,114 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    function removeSongFromPlaylist(playlistId, songId) {
+    /**
+     * Removes songs by their position, so one copy of a duplicated song can be removed.
+     * An open view of the playlist is updated in place instead of being rebuilt.
+     */
+    function removeSongsFromPlaylist(playlistId, indexes) {
         let playlists = getPlaylists();
         const playlist = playlists.find(p => p.id === playlistId);
         if (playlist) {
-            playlist.songs = playlist.songs.filter(s => s.id !== songId);
+            const indexesToRemove = new Set(indexes);
+            playlist.songs = playlist.songs.filter((_, index) => !indexesToRemove.has(index));
             savePlaylists(playlists);
-            showNotification("Song removed from playlist.");
-            loadPlaylistView(playlistId);
+            showNotification(indexesToRemove.size === 1 ? "Song removed from playlist." : `${indexesToRemove.size} songs removed from playlist.`);
+            removePlaylistViewRows(playlist, indexesToRemove);
         }
     }
 
+    function updatePlaylist(playlistId, changes) {
+        const playlists = getPlaylists();
+        const playlist = playlists.find(p => p.id === playlistId);
+        if (!playlist) return null;
+        Object.assign(playlist, changes);
+        savePlaylists(playlists);
+        return playlist;
+    }
+
+    function movePlaylistSong(playlistId, oldIndex, newIndex) {
+        const playlists = getPlaylists();
+        const playlist = playlists.find(p => p.id === playlistId);
+        if (!playlist || !playlist.songs[oldIndex]) return;
+        const [song] = playlist.songs.splice(oldIndex, 1);
+        playlist.songs.splice(newIndex, 0, song);
+        savePlaylists(playlists);
+    }
+
+    /**
+     * Normalizes a song to "title|first artist" so re-uploads and alternate versions of
+     * the same track match: case, punctuation, "(Official Video)"-style tags and
+     * "feat." credits are ignored.
+     */
+    function getSongMatchKey(song) {
+        const clean = (text) => (text || '').toLowerCase()
+            .replace(/[([][^)\]]*\b(official|video|audio|lyrics?|remaster(ed)?|visuali[sz]er|hd|hq|4k)\b[^)\]]*[)\]]/g, '')
+            .replace(/[([]?\b(feat|ft)\.?\s.*$/, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+        const title = clean(song.title);
+        return title ? `${title}|${clean(song.artists?.[0])}` : null;
+    }
+
+    /**
+     * Groups songs that appear more than once, by id or by normalized title and artist.
+     * @returns {Array<{indexes: number[], reason: string}>} The first index of each group is the copy to keep.
+     */
+    function findPlaylistDuplicates(songs) {
+        const groupByKey = new Map();
+        const groups = [];
+        songs.forEach((song, index) => {
+            const keys = [`id:${song.id}`];
+            const matchKey = getSongMatchKey(song);
+            if (matchKey) keys.push(`match:${matchKey}`);
+            let group = keys.map(key => groupByKey.get(key)).find(Boolean);
+            if (!group) {
+                group = { indexes: [], reason: '' };
+                groups.push(group);
+            } else if (!group.reason) {
+                group.reason = groupByKey.get(keys[0]) === group ? 'Same song' : 'Same title and artist';
+            }
+            group.indexes.push(index);
+            keys.forEach(key => { if (!groupByKey.has(key)) groupByKey.set(key, group); });
+        });
+        return groups.filter(group => group.indexes.length > 1);
+    }
+
+    /**
+     * Saves the queue, playback position and volume so the session can be
+     * restored on the next launch.
+     */
+    function saveSession() {
+        lastSessionSaveTime = Date.now();
+        const session = {
+            ...queueManager.getSessionState(),
+            currentTime: restoredPlaybackPosition ?? audioPlayer.currentTime ?? 0,
+            volume: audioPlayer.volume
+        };
+        setStoredValue('playbackSession', session);
+    }
+
+    function loadSession() {
+        return getStoredValue('playbackSession', null);
+    }
+
     function updateRecentlyPlayed(song) {
-        let recentlyPlayed = JSON.parse(localStorage.getItem('recentlyPlayed') || '[]').filter(item => item.id !== song.id);
+        let recentlyPlayed = getStoredValue('recentlyPlayed', []).filter(item => item.id !== song.id);
         recentlyPlayed.unshift(song);
         if (recentlyPlayed.length > 50) recentlyPlayed.pop();
-        localStorage.setItem('recentlyPlayed', JSON.stringify(recentlyPlayed));
+        setStoredValue('recentlyPlayed', recentlyPlayed);
+    }
+
+    /**
+     * Keeps the per-song play counts smart playlists test against. It's updated from the same
+     * recorded plays as the listening history, so a skipped play isn't counted here either.
+     */
+    function updatePlayStats(song, { skipped, timestamp }) {
+        const playStats = getPlayStats();
+        const { likedAt, ...storedSong } = song;
+        playStats[song.id] = { song: storedSong, count: (playStats[song.id]?.count || 0) + (skipped ? 0 : 1), lastPlayed: timestamp };
+        setStoredValue('songPlayStats', playStats);
+        refreshSmartPlaylistViews();
     }
     
     // =========================================================================
@@ -232,8 +759,9 @@ document.addEventListener('DOMContentLoaded', () => {
         const { type, payload } = state;
         try {
             if (type === 'view') await loadView(payload.viewName, true);
-            else if (type === 'search') await performSearch(payload.query, true);
+            else if (type === 'search') await performSearch(payload.query, true, payload.tab);
             else if (type === 'browse') await loadBrowseView(payload.id, payload.type, true);
+            else if (type === 'artist') await loadArtistView(payload.artistId, true);
             else if (type === 'playlist') await loadPlaylistView(payload.playlistId, true);
         } catch (error) {
             console.error("Error loading state:", error);
@@ -286,7 +814,7 @@ document.addEventListener('DOMContentLoaded', () => {
             button.textContent = 'See More';
             button.className = 'see-more-btn';
             
-            const parentSection = container.closest('.search-category, .content-section');
+            const parentSection = container.closest('.content-section');
             if (parentSection) {
                  parentSection.appendChild(button);
             } else {
@@ -311,7 +839,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const getItemHtml = (item, isHidden) => {
             const itemData = escapeHTML(JSON.stringify(item));
-            const title = escapeHTML(item.title);
+            const title = escapeHTML(item.title || item.name);
             const artists = escapeHTML((item.artists || []).join(', '));
             const thumbnail = escapeHTML(item.thumbnails?.[0]?.url || 'assets/icons/default-art.png');
             let itemClass = 'list-grid-item';
@@ -342,58 +870,130 @@ document.addEventListener('DOMContentLoaded', () => {
         setupImageObserver();
     }
 
-    async function displaySearchResults(results, query) {
-        mainView.innerHTML = `<div class="view-header"><h1>Results for "${escapeHTML(query)}"</h1></div>`;
-        
-        if (results.songs && results.songs.length > 0) {
-            const section = document.createElement('div');
-            const listContainer = document.createElement('div');
-            section.className = 'search-category';
-            section.innerHTML = `<h2>Songs</h2>`;
-            section.appendChild(listContainer);
-
-            const limit = 6;
-            const songsHtml = results.songs.map((song, i) => {
-                const songData = escapeHTML(JSON.stringify(song));
-                const isHidden = i >= limit;
-                return `
-                <div class="search-result-list-item song-item ${isHidden ? 'initially-hidden' : ''}" data-song='${songData}'>
-                    <div class="result-number">${i + 1}</div>
-                    <img data-src="${escapeHTML(song.thumbnails?.[0]?.url || 'assets/icons/default-art.png')}" class="result-thumbnail">
-                    <div class="result-info">
-                        <div class="result-title">${escapeHTML(song.title)}</div>
-                        <div class="result-artist">${escapeHTML((song.artists || []).join(', '))}</div>
-                    </div>
-                    <div class="result-actions"><button class="add-queue-btn" title="Add to Queue"><i data-feather="plus"></i></button></div>
-                    <div class="result-duration">${escapeHTML(formatTime(song.duration))}</div>
-                </div>`;
-            }).join('');
-            
-            listContainer.innerHTML = songsHtml;
-            mainView.appendChild(section);
-            addSeeMoreButton(listContainer, results.songs, limit);
-            attachItemClickListeners(section, playSong);
+    function getSongListItemHtml(song, index, { extraActions = '' } = {}) {
+        const songData = escapeHTML(JSON.stringify(song));
+        return `
+            <div class="search-result-list-item song-item" data-song='${songData}'>
+                <div class="result-number">${index + 1}</div>
+                <img data-src="${escapeHTML(song.thumbnails?.[0]?.url || 'assets/icons/default-art.png')}" class="result-thumbnail">
+                <div class="result-info">
+                    <div class="result-title">${escapeHTML(song.title)}</div>
+                    <div class="result-artist">${escapeHTML((song.artists || []).join(', '))}</div>
+                </div>
+                <div class="result-actions"><button class="add-queue-btn" title="Add to Queue"><i data-feather="plus"></i></button>${extraActions}</div>
+                <div class="result-duration">${escapeHTML(formatTime(song.duration))}</div>
+            </div>`;
+    }
+
+    function displaySearchResults(results, query, tab = 'all') {
+        searchState = { query, results, activeTab: tab };
+        mainView.innerHTML = `
+            <div class="view-header"><h1>Results for "${escapeHTML(query)}"</h1></div>
+            <div class="search-tabs">
+                ${Object.entries(SEARCH_TABS).map(([id, label]) => `<button class="search-tab" data-tab="${id}">${label}</button>`).join('')}
+            </div>
+            <div id="search-tab-content"></div>`;
+        mainView.querySelectorAll('.search-tab').forEach(button => { button.onclick = () => showSearchTab(button.dataset.tab); });
+        showSearchTab(tab);
+    }
+
+    function showSearchTab(tab) {
+        searchState.activeTab = tab;
+        // Remember the tab in the history entry so Back returns to it.
+        const state = historyStack[historyIndex];
+        if (state?.type === 'search' && state.payload.query === searchState.query) state.payload.tab = tab;
+        mainView.querySelectorAll('.search-tab').forEach(button => button.classList.toggle('active', button.dataset.tab === tab));
+        mainView.scrollTop = 0;
+        renderSearchTab();
+    }
+
+    function renderSearchItems(type, items, container) {
+        if (type === 'songs' || type === 'videos') {
+            container.innerHTML = `<div class="song-list-container">${items.map((song, i) => getSongListItemHtml(song, i)).join('')}</div>`;
+            attachItemClickListeners(container, (song) => playSong(song));
+        } else {
+            container.innerHTML = '<div class="list-grid-container"></div>';
+            displayItemsInListGrid(items, container.firstElementChild);
         }
-        
-        if (results.collections && results.collections.length > 0) {
-            const section = document.createElement('div');
-            section.className = 'content-section';
-            section.innerHTML = `<h2>Collections</h2><div class="list-grid-container"></div>`;
-            mainView.appendChild(section);
-            displayItemsInListGrid(results.collections, section.querySelector('.list-grid-container'));
+    }
+
+    function renderSearchTab() {
+        const content = document.getElementById('search-tab-content');
+        if (!content || !searchState) return;
+        const { results, activeTab } = searchState;
+        content.innerHTML = '';
+
+        if (activeTab === 'all') {
+            const types = Object.keys(SEARCH_TABS).filter(type => type !== 'all' && results[type]?.items.length);
+            types.forEach(type => {
+                const { items, continuation } = results[type];
+                const section = document.createElement('div');
+                section.className = 'content-section';
+                section.innerHTML = `
+                    <div class="section-header">
+                        <h2>${SEARCH_TABS[type]}</h2>
+                        ${items.length > SEARCH_PREVIEW_LIMIT || continuation ? '<button class="clear-btn show-all-btn">Show All</button>' : ''}
+                    </div>
+                    <div class="search-items"></div>`;
+                content.appendChild(section);
+                renderSearchItems(type, items.slice(0, SEARCH_PREVIEW_LIMIT), section.querySelector('.search-items'));
+                section.querySelector('.show-all-btn')?.addEventListener('click', () => showSearchTab(type));
+            });
+            if (types.length === 0) content.innerHTML = '<p>No results found.</p>';
+        } else {
+            const { items, continuation } = results[activeTab];
+            if (items.length === 0) {
+                content.innerHTML = '<p>No results found.</p>';
+                return;
+            }
+            const list = document.createElement('div');
+            content.appendChild(list);
+            renderSearchItems(activeTab, items, list);
+            if (continuation) {
+                const button = document.createElement('button');
+                button.className = 'see-more-btn';
+                button.textContent = 'Load More';
+                button.onclick = () => loadMoreSearchResults(button);
+                content.appendChild(button);
+            }
         }
         feather.replace();
         setupImageObserver();
     }
+
+    /**
+     * Appends the next page of the active tab, using the continuation token of the page before it.
+     */
+    async function loadMoreSearchResults(button) {
+        const current = searchState;
+        const type = current.activeTab;
+        const page = current.results[type];
+        button.disabled = true;
+        button.textContent = 'Loading...';
+        const next = await window.electronAPI.searchMore(current.query, type, page.continuation, userCountry);
+        if (searchState !== current) return; // A new search replaced these results
+        const getKey = (item) => item.id || item.browseId;
+        const seen = new Set(page.items.map(getKey));
+        page.items.push(...next.items.filter(item => !seen.has(getKey(item))));
+        page.continuation = next.continuation;
+        if (next.items.length === 0) showNotification('No more results.');
+        if (current.activeTab === type) renderSearchTab();
+    }
     
-    async function performSearch(query, fromHistory = false) {
+    async function performSearch(query, fromHistory = false, tab = 'all') {
         if (!query) return;
+        const link = parseYouTubeMusicUrl(query);
+        if (link && !fromHistory) {
+            searchInput.value = '';
+            searchSuggestions.style.display = 'none';
+            return loadBrowseView(link.id, link.type);
+        }
         if (!fromHistory) pushState({ type: 'search', payload: { query } });
         mainView.innerHTML = `<div class="view-header"><h1>Searching for "${escapeHTML(query)}"...</h1></div>`;
         searchInput.value = query;
         searchSuggestions.style.display = 'none';
         const results = await window.electronAPI.searchYoutube(query, userCountry);
-        await displaySearchResults(results, query);
+        displaySearchResults(results, query, tab);
     }
     
     async function loadView(viewName, fromHistory = false) {
@@ -405,6 +1005,8 @@ document.addEventListener('DOMContentLoaded', () => {
         else if (viewName === 'explore') await loadExploreContent();
         else if (viewName === 'playlists') loadPlaylistsHub();
         else if (viewName === 'settings') loadSettings();
+        else if (viewName === 'downloads') await loadDownloadsView();
+        else if (viewName === 'stats') await loadStatsView();
         
         feather.replace();
     }
@@ -415,51 +1017,364 @@ document.addEventListener('DOMContentLoaded', () => {
         const animationsToggle = document.getElementById('animations-toggle');
 
         countrySelect.value = userCountry;
-        countrySelect.onchange = () => {
-            saveCountryPreference(countrySelect.value);
-            showNotification(`Explore region set to ${countrySelect.options[countrySelect.selectedIndex].text}.`, 'success');
-            loadView('explore');
-        };
+        countrySelect.onchange = () => changeRegion(countrySelect.value, countrySelect.options[countrySelect.selectedIndex].text);
+
+        const languageSelect = document.getElementById('language-select');
+        languageSelect.value = getStoredValue('userLanguagePref', 'en');
+        languageSelect.onchange = () => changeLanguage(languageSelect.value, languageSelect.options[languageSelect.selectedIndex].text);
 
-        themeSelect.value = localStorage.getItem('userThemePref') || 'default';
+        themeSelect.value = getStoredValue('userThemePref', 'default');
         themeSelect.onchange = () => applyTheme(themeSelect.value);
 
-        animationsToggle.checked = localStorage.getItem('userAnimationsPref') === 'true';
+        animationsToggle.checked = getStoredValue('userAnimationsPref', false);
         animationsToggle.onchange = () => applyAnimationSetting(animationsToggle.checked);
-    }
 
-    function loadPlaylistsHub() {
-        document.getElementById('create-playlist-btn').onclick = () => {
-            const modal = document.getElementById('create-playlist-modal');
-            modal.style.display = 'flex';
-            setTimeout(() => document.getElementById('new-playlist-name-input').focus(), 50);
+        const closeToTrayToggle = document.getElementById('close-to-tray-toggle');
+        closeToTrayToggle.checked = getStoredValue('userCloseToTrayPref', false);
+        closeToTrayToggle.onchange = () => setStoredValue('userCloseToTrayPref', closeToTrayToggle.checked);
+
+        const downloadConcurrencySelect = document.getElementById('download-concurrency-select');
+        downloadConcurrencySelect.value = downloadConcurrency;
+        downloadConcurrencySelect.onchange = () => {
+            downloadConcurrency = Number(downloadConcurrencySelect.value);
+            setStoredValue('userDownloadConcurrencyPref', downloadConcurrency);
+            window.electronAPI.setDownloadConcurrency(downloadConcurrency);
         };
-        
-        document.getElementById('import-playlist-btn').onclick = async () => {
-            const result = await window.electronAPI.importPlaylist();
-            if (result.success) {
-                try {
-                    const imported = JSON.parse(result.data);
-                    if (imported.name && Array.isArray(imported.songs)) {
-                        const playlists = getPlaylists();
-                        imported.id = `pl-${Date.now()}`;
-                        playlists.unshift(imported);
-                        savePlaylists(playlists);
-                        showNotification(`Playlist "${escapeHTML(imported.name)}" imported!`, 'success');
-                        loadView('playlists');
-                    } else { throw new Error("Invalid playlist file format."); }
-                } catch (e) { showNotification(`Import failed: ${e.message}`, 'error'); }
-            } else if (result.error && result.error !== 'User canceled.') { 
-                showNotification(`Import failed: ${result.error}`, 'error'); 
+
+        const downloadFormatSelect = document.getElementById('download-format-select');
+        const downloadBitrateSelect = document.getElementById('download-bitrate-select');
+        const downloadBitrateRow = document.getElementById('download-bitrate-row');
+        downloadFormatSelect.value = downloadOptions.format;
+        downloadBitrateSelect.value = downloadOptions.bitrate;
+        downloadBitrateRow.style.display = downloadOptions.format === 'flac' ? 'none' : 'flex';
+        downloadFormatSelect.onchange = () => {
+            saveDownloadOptions({ format: downloadFormatSelect.value });
+            downloadBitrateRow.style.display = downloadOptions.format === 'flac' ? 'none' : 'flex';
+        };
+        downloadBitrateSelect.onchange = () => saveDownloadOptions({ bitrate: Number(downloadBitrateSelect.value) });
+
+        const transitionSelect = document.getElementById('transition-select');
+        const crossfadeRow = document.getElementById('crossfade-row');
+        const crossfadeSlider = document.getElementById('crossfade-slider');
+        const crossfadeValue = document.getElementById('crossfade-value');
+        transitionSelect.value = playbackTransition;
+        crossfadeSlider.value = crossfadeSeconds;
+        crossfadeValue.textContent = crossfadeSeconds;
+        crossfadeRow.style.display = playbackTransition === 'crossfade' ? 'flex' : 'none';
+        transitionSelect.onchange = () => {
+            saveTransitionPreference(transitionSelect.value, crossfadeSeconds);
+            crossfadeRow.style.display = playbackTransition === 'crossfade' ? 'flex' : 'none';
+            if (playbackTransition === 'off') {
+                if (!isCrossfading) resetStandbyPlayer();
+            } else if (audioPlayer.src) {
+                queueManager.prefetchNext(true);
             }
         };
+        crossfadeSlider.oninput = () => {
+            crossfadeValue.textContent = crossfadeSlider.value;
+            saveTransitionPreference(playbackTransition, Number(crossfadeSlider.value));
+        };
+
+        renderKeymapEditor();
+        document.getElementById('reset-keymap-btn').onclick = () => {
+            if (!confirm("Reset all keyboard shortcuts to their defaults?")) return;
+            keymap = getDefaultKeymap();
+            saveKeymap();
+            recordingShortcutAction = null;
+            renderKeymapEditor();
+            showNotification("Keyboard shortcuts reset.", 'success');
+        };
+
+        document.getElementById('export-backup-btn').onclick = exportBackup;
+        document.getElementById('import-backup-btn').onclick = importBackup;
+
+        const cacheSizeEl = document.getElementById('cache-size');
+        const showCacheStats = ({ entries, bytes }) => {
+            cacheSizeEl.textContent = entries === 0 ? 'Empty' : `${formatByteSize(bytes)} in ${entries} ${entries === 1 ? 'item' : 'items'}`;
+        };
+        window.electronAPI.getCacheStats().then(showCacheStats);
+        document.getElementById('clear-cache-btn').onclick = async () => {
+            showCacheStats(await window.electronAPI.clearCache());
+            showNotification("Cache cleared.", 'success');
+        };
+        const persistCacheToggle = document.getElementById('persist-cache-toggle');
+        persistCacheToggle.checked = getStoredValue('userPersistCachePref', true);
+        persistCacheToggle.onchange = () => {
+            setStoredValue('userPersistCachePref', persistCacheToggle.checked);
+            window.electronAPI.setCachePersistence(persistCacheToggle.checked);
+        };
+    }
+
+    async function exportBackup() {
+        const result = await window.electronAPI.exportBackup();
+        if (result.success) {
+            const { likedSongs, playlists, history } = result.contents;
+            showNotification(`Backup saved: ${likedSongs} liked songs, ${playlists} playlists and ${history} plays.`, 'success');
+        } else if (result.error && result.error !== 'User canceled.') {
+            showNotification(`Export failed: ${result.error}`, 'error');
+        }
+    }
+
+    /**
+     * Reads a backup and lets the user pick merge, replace or skip for each data type,
+     * showing what would be added and what conflicts before anything is restored.
+     */
+    async function importBackup() {
+        const result = await window.electronAPI.readBackup();
+        if (!result.success) {
+            if (result.error && result.error !== 'User canceled.') showNotification(`Import failed: ${result.error}`, 'error');
+            return;
+        }
+        const modal = document.getElementById('restore-backup-modal');
+        const summaryEl = document.getElementById('restore-summary');
+        const createdAt = new Date(result.manifest.createdAt);
+        document.getElementById('restore-backup-info').textContent = isNaN(createdAt)
+            ? 'Choose what to restore from this backup.'
+            : `Backup from ${createdAt.toLocaleString()}. Merge keeps everything you have now and adds what's new; Replace swaps it for the backup's copy.`;
+
+        summaryEl.innerHTML = Object.entries(result.summary).map(([type, info]) => `
+            <div class="restore-type">
+                <div class="restore-type-header">
+                    <span>${escapeHTML(info.label)}</span>
+                    <select class="styled-select" data-type="${type}" ${info.total === 0 ? 'disabled' : ''}>
+                        <option value="merge" ${info.total > 0 ? 'selected' : ''}>Merge</option>
+                        <option value="replace">Replace</option>
+                        <option value="skip" ${info.total === 0 ? 'selected' : ''}>Skip</option>
+                    </select>
+                </div>
+                <div class="restore-type-counts">${info.total} in backup • ${info.added} new • ${info.current} in your library now</div>
+                ${info.conflicts.length > 0 ? `
+                    <ul class="restore-conflicts">
+                        ${info.conflicts.slice(0, 5).map(conflict => `<li>${escapeHTML(conflict)}</li>`).join('')}
+                        ${info.conflicts.length > 5 ? `<li>and ${info.conflicts.length - 5} more</li>` : ''}
+                    </ul>` : ''}
+            </div>`).join('');
+        modal.style.display = 'flex';
+
+        const close = () => { modal.style.display = 'none'; };
+        document.getElementById('restore-cancel-btn').onclick = close;
+        modal.onclick = (e) => { if (e.target === modal) close(); };
+        document.getElementById('restore-apply-btn').onclick = async () => {
+            const choices = Object.fromEntries([...summaryEl.querySelectorAll('select[data-type]')].map(select => [select.dataset.type, select.value]));
+            if (Object.values(choices).includes('replace') && !confirm("Replacing deletes the current data of that type. Continue?")) return;
+            const restored = await window.electronAPI.restoreBackup(choices);
+            close();
+            if (!restored.success) return showNotification(`Restore failed: ${restored.error}`, 'error');
+            // Reload right away so nothing writes the old in-memory copy back over the restored data.
+            userData = restored.data;
+            location.reload(); // Every view reads the restored data from scratch
+        };
+    }
+
+    function renderKeymapEditor() {
+        const listEl = document.getElementById('keymap-list');
+        if (!listEl) return;
+        const usage = {};
+        Object.values(keymap).filter(Boolean).forEach(keys => { usage[keys] = (usage[keys] || 0) + 1; });
+        listEl.innerHTML = Object.entries(SHORTCUT_ACTIONS).map(([action, { label }]) => {
+            const keys = keymap[action];
+            const isRecording = recordingShortcutAction === action;
+            const classes = ['keymap-key', isRecording && 'recording', !keys && 'unbound', usage[keys] > 1 && 'conflict'].filter(Boolean).join(' ');
+            return `
+                <div class="settings-row keymap-row">
+                    <label>${escapeHTML(label)}</label>
+                    <button class="${classes}" data-action="${escapeHTML(action)}" title="Click to change">${isRecording ? 'Press keys...' : escapeHTML(keys ? formatKeyCombo(keys) : 'Not set')}</button>
+                </div>`;
+        }).join('');
+        listEl.querySelectorAll('.keymap-key').forEach(button => {
+            button.onclick = () => {
+                recordingShortcutAction = recordingShortcutAction === button.dataset.action ? null : button.dataset.action;
+                renderKeymapEditor();
+            };
+        });
+    }
+
+    function openCreatePlaylistModal() {
+        document.getElementById('create-playlist-modal').style.display = 'flex';
+        setTimeout(() => document.getElementById('new-playlist-name-input').focus(), 50);
+    }
+
+    function getSmartRuleRowHtml(rule) {
+        const field = SMART_RULE_FIELDS[rule.field] || SMART_RULE_FIELDS.liked;
+        const operators = SMART_RULE_OPERATORS[field.type];
+        const inputType = field.type === 'text' ? 'text' : 'number';
+        return `
+            <div class="smart-rule-row">
+                <select class="smart-rule-field">${Object.entries(SMART_RULE_FIELDS).map(([key, f]) => `<option value="${key}" ${key === rule.field ? 'selected' : ''}>${f.label}</option>`).join('')}</select>
+                <select class="smart-rule-operator">${Object.entries(operators).map(([key, label]) => `<option value="${key}" ${key === rule.operator ? 'selected' : ''}>${label}</option>`).join('')}</select>
+                <input class="smart-rule-value" type="${inputType}" ${inputType === 'number' ? 'min="0" step="any"' : ''} value="${escapeHTML(String(rule.value ?? ''))}" autocomplete="off">
+                <button class="smart-rule-remove" title="Remove Rule">&times;</button>
+            </div>`;
+    }
+
+    /**
+     * Opens the rule editor for a new smart playlist, or for `playlist` when editing one.
+     */
+    function openSmartPlaylistModal(playlist = null) {
+        const modal = document.getElementById('smart-playlist-modal');
+        const rulesEl = document.getElementById('smart-rules-list');
+        const nameInput = document.getElementById('smart-playlist-name-input');
+        const smart = playlist?.smart || { match: 'all', rules: [{ field: 'liked', operator: 'inLast', value: 30 }], sort: 'recent', limit: 0 };
+
+        document.getElementById('smart-playlist-modal-title').textContent = playlist ? 'Edit Smart Playlist' : 'New Smart Playlist';
+        nameInput.value = playlist?.name || '';
+        document.getElementById('smart-match-select').value = smart.match;
+        const sortSelect = document.getElementById('smart-sort-select');
+        sortSelect.innerHTML = Object.entries(SMART_PLAYLIST_SORTS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+        sortSelect.value = smart.sort || 'recent';
+        document.getElementById('smart-limit-input').value = smart.limit || '';
+
+        const readRules = () => [...rulesEl.querySelectorAll('.smart-rule-row')].map(row => ({
+            field: row.querySelector('.smart-rule-field').value,
+            operator: row.querySelector('.smart-rule-operator').value,
+            value: row.querySelector('.smart-rule-value').value.trim()
+        }));
+        const renderRules = (rules) => {
+            rulesEl.innerHTML = rules.map(getSmartRuleRowHtml).join('');
+            rulesEl.querySelectorAll('.smart-rule-row').forEach((row, index) => {
+                row.querySelector('.smart-rule-field').onchange = () => {
+                    const updated = readRules();
+                    const type = SMART_RULE_FIELDS[updated[index].field].type;
+                    updated[index] = { field: updated[index].field, operator: Object.keys(SMART_RULE_OPERATORS[type])[0], value: '' };
+                    renderRules(updated);
+                };
+                row.querySelector('.smart-rule-remove').onclick = () => renderRules(readRules().filter((_, i) => i !== index));
+            });
+        };
+        renderRules(smart.rules);
+
+        document.getElementById('smart-add-rule-btn').onclick = () => renderRules([...readRules(), { field: 'artist', operator: 'is', value: '' }]);
+        const close = () => { modal.style.display = 'none'; };
+        document.getElementById('smart-cancel-btn').onclick = close;
+        modal.onclick = (e) => { if (e.target === modal) close(); };
+        document.getElementById('smart-save-btn').onclick = () => {
+            const rules = readRules();
+            if (rules.some(rule => rule.value === '')) return showNotification("Every rule needs a value.", 'error');
+            const limit = parseInt(document.getElementById('smart-limit-input').value, 10);
+            const updated = {
+                match: document.getElementById('smart-match-select').value,
+                rules: rules.map(rule => SMART_RULE_FIELDS[rule.field].type === 'text' ? rule : { ...rule, value: Number(rule.value) }),
+                sort: sortSelect.value,
+                limit: limit > 0 ? limit : 0
+            };
+            if (saveSmartPlaylist(playlist?.id, nameInput.value, updated)) close();
+        };
+        modal.style.display = 'flex';
+        setTimeout(() => nameInput.focus(), 50);
+    }
+
+    async function exportPlaylist(playlist, format = 'json') {
+        const result = await window.electronAPI.exportPlaylist(JSON.stringify(playlist, null, 2), format);
+        if (result.success) showNotification('Playlist exported!', 'success');
+        else if (result.error && result.error !== 'User canceled.') showNotification(`Export failed: ${result.error}`, 'error');
+    }
+
+    function showPlaylistExportMenu(anchor, playlistId) {
+        const menu = document.getElementById('playlist-export-menu');
+        if (menu.style.display === 'block') {
+            menu.style.display = 'none';
+            return;
+        }
+        const listEl = document.getElementById('playlist-export-menu-list');
+        listEl.innerHTML = Object.entries(PLAYLIST_EXPORT_FORMATS).map(([format, label]) => `<li data-format="${format}"><a>${escapeHTML(label)}</a></li>`).join('');
+        listEl.querySelectorAll('li').forEach(item => {
+            item.onclick = () => {
+                menu.style.display = 'none';
+                const playlist = getPlaylists().find(p => p.id === playlistId);
+                if (playlist) exportPlaylist(playlist, item.dataset.format);
+            };
+        });
+        menu.style.display = 'block';
+        const rect = anchor.getBoundingClientRect();
+        menu.style.left = `${rect.left}px`;
+        menu.style.top = `${rect.bottom + 6}px`;
+    }
+
+    /**
+     * Imports a playlist file. Entries the file doesn't identify by videoId are matched by
+     * searching for them, and bare links are looked up by their videoId; matches below
+     * IMPORT_MATCH_CONFIDENCE are shown for review first.
+     */
+    async function importPlaylistFile() {
+        const result = await window.electronAPI.importPlaylist();
+        if (!result.success) {
+            if (result.error && result.error !== 'User canceled.') showNotification(`Import failed: ${result.error}`, 'error');
+            return;
+        }
+        const { name, description, entries } = result.playlist;
+        const toSong = (entry) => ({ type: 'song', ...entry });
+        const unmatched = entries.map((entry, index) => ({ entry, index })).filter(({ entry }) => !entry.id || !entry.title);
+        if (unmatched.length === 0) return saveImportedPlaylist(name, description, entries.map(toSong));
+
+        const modal = document.getElementById('import-review-modal');
+        const statusEl = document.getElementById('import-review-status');
+        const listEl = document.getElementById('import-review-list');
+        const createBtn = document.getElementById('import-review-create-btn');
+        let isCanceled = false;
+        listEl.innerHTML = '';
+        createBtn.disabled = true;
+        modal.style.display = 'flex';
+        document.getElementById('import-review-cancel-btn').onclick = () => { isCanceled = true; modal.style.display = 'none'; };
+
+        const songs = entries.map(entry => entry.id && entry.title ? toSong(entry) : null);
+        const toReview = [];
+        for (const [i, { entry, index }] of unmatched.entries()) {
+            if (isCanceled) return;
+            statusEl.textContent = `Finding songs on YouTube Music... ${i + 1} of ${unmatched.length}`;
+            const match = await window.electronAPI.matchSong(entry, userCountry);
+            if (match.match && match.confidence >= IMPORT_MATCH_CONFIDENCE) songs[index] = match.match;
+            else toReview.push({ entry, index, ...match });
+        }
+        if (isCanceled) return;
+        if (toReview.length === 0) {
+            modal.style.display = 'none';
+            return saveImportedPlaylist(name, description, songs.filter(Boolean));
+        }
+
+        statusEl.textContent = `${entries.length - toReview.length} of ${entries.length} songs were found. Check these before importing:`;
+        listEl.innerHTML = toReview.map(({ entry, candidates }, reviewIndex) => `
+            <div class="import-review-row">
+                <div class="import-review-original">${escapeHTML([(entry.artists || []).join(', '), entry.title || entry.id].filter(Boolean).join(' - '))}</div>
+                <select class="styled-select" data-review-index="${reviewIndex}">
+                    ${candidates.map(({ song, confidence }, candidateIndex) => `
+                        <option value="${candidateIndex}" ${candidateIndex === 0 && confidence >= 0.4 ? 'selected' : ''}>${escapeHTML(`${song.title} - ${(song.artists || []).join(', ')}`)} (${Math.round(confidence * 100)}%)</option>`).join('')}
+                    <option value="skip" ${!candidates[0] || candidates[0].confidence < 0.4 ? 'selected' : ''}>Skip this song</option>
+                </select>
+            </div>`).join('');
+        createBtn.disabled = false;
+        createBtn.onclick = () => {
+            listEl.querySelectorAll('select[data-review-index]').forEach(select => {
+                const review = toReview[Number(select.dataset.reviewIndex)];
+                if (select.value !== 'skip') songs[review.index] = review.candidates[Number(select.value)].song;
+            });
+            modal.style.display = 'none';
+            saveImportedPlaylist(name, description, songs.filter(Boolean));
+        };
+    }
+
+    function saveImportedPlaylist(name, description, songs) {
+        if (songs.length === 0) return showNotification("None of the songs could be found.", 'error');
+        const playlists = getPlaylists();
+        const seen = new Set();
+        const uniqueSongs = songs.filter(song => !seen.has(song.id) && seen.add(song.id));
+        playlists.unshift({ id: `pl-${Date.now()}`, name, ...(description ? { description } : {}), songs: uniqueSongs });
+        savePlaylists(playlists);
+        showNotification(`Playlist "${escapeHTML(name)}" imported with ${uniqueSongs.length} songs!`, 'success');
+        loadView('playlists');
+    }
+
+    function loadPlaylistsHub() {
+        document.getElementById('create-playlist-btn').onclick = openCreatePlaylistModal;
+        document.getElementById('create-smart-playlist-btn').onclick = () => openSmartPlaylistModal();
+        
+        document.getElementById('import-playlist-btn').onclick = importPlaylistFile;
 
         const playlistsGrid = document.getElementById('playlists-grid');
         const playlists = getPlaylists();
         if (playlists.length > 0) {
             playlistsGrid.innerHTML = playlists.map(p => `
                 <div class="playlist-item-card" data-playlist-id="${escapeHTML(p.id)}">
-                    <i data-feather="music" class="icon-placeholder"></i>
+                    <div class="playlist-cover">${getPlaylistCoverHtml(p)}${p.smart ? '<span class="smart-badge">Smart</span>' : ''}</div>
                     <div class="playlist-name">${escapeHTML(p.name)}</div>
                     <div class="song-count">${p.songs.length} songs</div>
                 </div>`).join('');
@@ -477,13 +1392,12 @@ document.addEventListener('DOMContentLoaded', () => {
         const clearBtn = document.getElementById('clear-recently-played-btn');
         const likedSongsContainer = document.getElementById('liked-songs');
 
-        const recentlyPlayed = JSON.parse(localStorage.getItem('recentlyPlayed') || '[]');
+        const recentlyPlayed = getStoredValue('recentlyPlayed', []);
         if (recentlyPlayed.length > 0) {
             displayItemsInListGrid(recentlyPlayed, recentlyPlayedContainer, 6);
             clearBtn.style.display = 'block';
             clearBtn.onclick = () => {
-                localStorage.removeItem('recentlyPlayed');
-                showNotification('Recently Played list cleared');
+                clearRecentlyPlayed();
                 loadHomeContent();
             };
         } else {
@@ -523,6 +1437,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     async function loadBrowseView(id, type, fromHistory = false) {
+        if (type === 'artist') return loadArtistView(id, fromHistory);
         if (!fromHistory) pushState({ type: 'browse', payload: { id, type } });
         mainView.innerHTML = `<div class="view-header"><h1>Loading...</h1></div>`;
         const details = await window.electronAPI.getBrowseDetails({ id, type }, userCountry);
@@ -539,249 +1454,1951 @@ document.addEventListener('DOMContentLoaded', () => {
                      <h1 class="browse-view-title">${escapeHTML(details.title)}</h1>
                      <p class="browse-view-artist">${escapeHTML(details.artist)}</p>
                      <p class="browse-view-meta">${details.tracks.length} songs</p>
+                     <div style="display: flex; gap: 10px; margin-top: 20px;">
+                        <button id="save-to-library-btn" class="action-btn"></button>
+                     </div>
                 </div>
             </div>`;
-        const songsHtml = details.tracks.map((song, i) => {
-            const songData = escapeHTML(JSON.stringify(song));
-            return `
-            <div class="search-result-list-item song-item" data-song='${songData}'>
-                <div class="result-number">${i + 1}</div>
-                <img data-src="${escapeHTML(song.thumbnails?.[0]?.url || 'assets/icons/default-art.png')}" class="result-thumbnail">
-                <div class="result-info">
-                    <div class="result-title">${escapeHTML(song.title)}</div>
-                    <div class="result-artist">${escapeHTML((song.artists || []).join(', '))}</div>
-                </div>
-                <div class="result-actions"><button class="add-queue-btn" title="Add to Queue"><i data-feather="plus"></i></button></div>
-                <div class="result-duration">${escapeHTML(formatTime(song.duration))}</div>
-            </div>`;
-        }).join('');
+        const songsHtml = details.tracks.map((song, i) => getSongListItemHtml(song, i)).join('');
         mainView.innerHTML = headerHtml + `<div class="song-list-container">${songsHtml}</div>`;
+
+        const saveBtn = mainView.querySelector('#save-to-library-btn');
+        const savedCopy = getPlaylists().find(p => p.source?.browseId === id);
+        saveBtn.textContent = savedCopy ? 'Open in Library' : 'Save to Library';
+        saveBtn.onclick = () => {
+            const savedId = getPlaylists().find(p => p.source?.browseId === id)?.id;
+            if (savedId) return loadPlaylistView(savedId);
+            if (details.tracks.length === 0) return showNotification("There are no songs to save.", 'error');
+            savePlaylistFromSource(details, id, type);
+            saveBtn.textContent = 'Open in Library';
+        };
         
-        attachItemClickListeners(mainView, (song) => playSong(song, details));
+        attachItemClickListeners(mainView, (song) => playSong(song, { ...details, browseId: id, type }));
         setupImageObserver();
         feather.replace();
     }
-    
-    async function loadPlaylistView(playlistId, fromHistory = false) {
-        if (!fromHistory) pushState({ type: 'playlist', payload: { playlistId } });
-        const playlist = getPlaylists().find(p => p.id === playlistId);
+
+    async function loadArtistView(artistId, fromHistory = false) {
+        if (!fromHistory) pushState({ type: 'artist', payload: { artistId } });
+        mainView.innerHTML = `<div class="view-header"><h1>Loading...</h1></div>`;
+        const artist = await window.electronAPI.getArtistDetails(artistId, userCountry);
+        if (!artist) {
+            mainView.innerHTML = `<div class="view-header"><h1>Could not load content.</h1></div>`;
+            return;
+        }
+
+        mainView.innerHTML = `
+            <div class="browse-view-header">
+                <img src="${escapeHTML(artist.thumbnails?.[artist.thumbnails.length - 1]?.url || 'assets/icons/default-art.png')}" class="browse-view-thumbnail artist-thumbnail">
+                <div class="browse-view-info">
+                     <h2 class="browse-view-type">Artist</h2>
+                     <h1 class="browse-view-title">${escapeHTML(artist.name)}</h1>
+                     <div style="display: flex; gap: 10px; margin-top: 20px;">
+                        <button id="artist-play-all-btn" class="action-btn"><i data-feather="play"></i> Play All</button>
+                     </div>
+                </div>
+            </div>`;
+
+        const songsSection = document.createElement('div');
+        songsSection.className = 'content-section';
+        if (artist.topSongs.length > 0) {
+            songsSection.innerHTML = `<h2>Top Songs</h2><div class="song-list-container">${artist.topSongs.map((song, i) => getSongListItemHtml(song, i)).join('')}</div>`;
+            mainView.appendChild(songsSection);
+            attachItemClickListeners(songsSection, (song) => playSong(song, { tracks: artist.topSongs, title: artist.name, browseId: artistId, type: 'artist' }));
+        }
+
+        const appendGridSection = (title, items) => {
+            if (!items || items.length === 0) return null;
+            const section = document.createElement('div');
+            section.className = 'content-section';
+            section.innerHTML = `<div class="section-header"><h2>${escapeHTML(title)}</h2></div><div class="list-grid-container"></div>`;
+            mainView.appendChild(section);
+            displayItemsInListGrid(items, section.querySelector('.list-grid-container'));
+            return section;
+        };
+
+        const albumsSection = appendGridSection('Albums', artist.albums);
+        appendGridSection('Singles', artist.singles);
+        appendGridSection('Fans Also Like', artist.similarArtists);
+
+        if (albumsSection) {
+            const seeAllBtn = document.createElement('button');
+            seeAllBtn.className = 'clear-btn';
+            seeAllBtn.textContent = 'See All';
+            albumsSection.querySelector('.section-header').appendChild(seeAllBtn);
+            seeAllBtn.onclick = async () => {
+                seeAllBtn.disabled = true;
+                const albums = await window.electronAPI.getArtistAlbums(artistId, userCountry);
+                if (albums.length > 0) displayItemsInListGrid(albums, albumsSection.querySelector('.list-grid-container'));
+                seeAllBtn.remove();
+            };
+        }
+
+        document.getElementById('artist-play-all-btn').onclick = async () => {
+            showNotification(`Loading songs by ${artist.name}...`);
+            const allSongs = await window.electronAPI.getArtistSongs(artistId, userCountry);
+            const tracks = allSongs.length > 0 ? allSongs : artist.topSongs;
+            if (tracks.length === 0) return showNotification('No songs found for this artist.', 'error');
+            playSong(tracks[0], { tracks, title: artist.name, browseId: artistId, type: 'artist' });
+        };
+
+        setupImageObserver();
+        feather.replace();
+    }
+    
+    function formatTotalDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.round((seconds % 3600) / 60);
+        return hours > 0 ? `${hours} hr ${minutes} min` : `${minutes} min`;
+    }
+
+    function getPlaylistMeta(playlist) {
+        const totalSeconds = playlist.songs.reduce((total, song) => total + (Number(song.duration) || 0), 0);
+        const count = `${playlist.songs.length} ${playlist.songs.length === 1 ? 'song' : 'songs'}`;
+        return totalSeconds > 0 ? `${count} • ${formatTotalDuration(totalSeconds)}` : count;
+    }
+
+    /**
+     * The playlist's custom cover, otherwise a 2x2 mosaic of its first four distinct
+     * artworks (or the first artwork when there are fewer).
+     */
+    function getPlaylistCoverHtml(playlist) {
+        if (playlist.cover) return `<img src="${escapeHTML(playlist.cover)}" alt="">`;
+        const artworks = [...new Set(playlist.songs.map(song => getArtworkUrl(song, 226)).filter(Boolean))].slice(0, 4);
+        if (artworks.length === 4) return `<div class="playlist-mosaic">${artworks.map(url => `<img src="${escapeHTML(url)}" alt="">`).join('')}</div>`;
+        if (artworks.length > 0) return `<img src="${escapeHTML(artworks[0])}" alt="">`;
+        return `<i data-feather="music" class="icon-placeholder"></i>`;
+    }
+
+    /**
+     * Reads an image file and center-crops it to a small square JPEG data URL, so a
+     * custom cover stays small enough to keep with the playlist.
+     */
+    function readCoverImage(file, size = 400) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(new Error("Could not read the image."));
+            reader.onload = () => {
+                const img = new Image();
+                img.onerror = () => reject(new Error("The file is not a supported image."));
+                img.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = canvas.height = size;
+                    const side = Math.min(img.width, img.height);
+                    canvas.getContext('2d').drawImage(img, (img.width - side) / 2, (img.height - side) / 2, side, side, 0, 0, size, size);
+                    resolve(canvas.toDataURL('image/jpeg', 0.85));
+                };
+                img.src = reader.result;
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    function getPlaylistSongRowHtml(song, index, isRemovable = true) {
+        const songData = escapeHTML(JSON.stringify(song));
+        return `
+            <div class="search-result-list-item song-item" data-song='${songData}'>
+                <div class="result-number">${index + 1}</div>
+                <img data-src="${escapeHTML(song.thumbnails?.[0]?.url || 'assets/icons/default-art.png')}" class="result-thumbnail">
+                <div class="result-info">
+                    <div class="result-title">${escapeHTML(song.title)}</div>
+                    <div class="result-artist">${escapeHTML((song.artists || []).join(', '))}</div>
+                </div>
+                <div class="result-actions">
+                    <button class="add-queue-btn" title="Add to Queue"><i data-feather="plus"></i></button>
+                    ${isRemovable ? '<button class="remove-song-btn" title="Remove"><i data-feather="x"></i></button>' : ''}
+                </div>
+                <div class="result-duration">${escapeHTML(formatTime(song.duration))}</div>
+            </div>`;
+    }
+
+    /**
+     * Refreshes the numbering, song count, duration and cover of an open playlist view.
+     */
+    function updatePlaylistViewDetails(playlist) {
+        const list = document.getElementById('playlist-song-list');
+        if (!list || list.dataset.playlistId !== playlist.id) return;
+        list.querySelectorAll('.song-item .result-number').forEach((number, index) => { number.textContent = index + 1; });
+        if (playlist.songs.length === 0) list.innerHTML = `<p style="padding: 20px 0;">${playlist.smart ? 'No songs match these rules yet.' : 'This playlist is empty. Add songs to it!'}</p>`;
+        document.getElementById('playlist-meta').textContent = getPlaylistMeta(playlist);
+        document.getElementById('playlist-cover').innerHTML = getPlaylistCoverHtml(playlist);
+        document.getElementById('remove-cover-btn').style.display = playlist.cover ? 'flex' : 'none';
+        feather.replace();
+    }
+
+    function removePlaylistViewRows(playlist, removedIndexes) {
+        const list = document.getElementById('playlist-song-list');
+        if (!list || list.dataset.playlistId !== playlist.id) return;
+        const rows = [...list.querySelectorAll('.song-item')];
+        removedIndexes.forEach(index => rows[index]?.remove());
+        updatePlaylistViewDetails(playlist);
+    }
+
+    /**
+     * Makes a heading or paragraph editable in place. Enter saves, Escape cancels and an
+     * empty value is only accepted when `allowEmpty` is set.
+     */
+    function makeInlineEditable(element, { onSave, allowEmpty = false, maxLength = 100 }) {
+        let savedValue = element.textContent;
+        element.onkeydown = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                element.blur();
+            } else if (e.key === 'Escape') {
+                element.textContent = savedValue;
+                element.blur();
+            }
+        };
+        element.onblur = () => {
+            const value = element.textContent.replace(/\s+/g, ' ').trim().slice(0, maxLength);
+            if ((!value && !allowEmpty) || value === savedValue) {
+                element.textContent = savedValue;
+                return;
+            }
+            element.textContent = value;
+            savedValue = value;
+            onSave(value);
+        };
+    }
+
+    function showDuplicatesModal(playlistId) {
+        const playlist = getPlaylists().find(p => p.id === playlistId);
+        if (!playlist) return;
+        const groups = findPlaylistDuplicates(playlist.songs);
+        if (groups.length === 0) return showNotification("No duplicates found.", 'success');
+
+        const modal = document.getElementById('duplicates-modal');
+        const listEl = document.getElementById('duplicates-list');
+        listEl.innerHTML = groups.map(group => `
+            <div class="duplicate-group">
+                <div class="duplicate-reason">${escapeHTML(group.reason)}</div>
+                ${group.indexes.map((songIndex, i) => {
+                    const song = playlist.songs[songIndex];
+                    return `
+                    <label class="duplicate-row">
+                        ${i === 0 ? '<span class="duplicate-keep">Keep</span>' : `<input type="checkbox" data-index="${songIndex}" checked>`}
+                        <span class="duplicate-title">#${songIndex + 1} ${escapeHTML(song.title)}</span>
+                        <span class="duplicate-artist">${escapeHTML((song.artists || []).join(', '))}</span>
+                    </label>`;
+                }).join('')}
+            </div>`).join('');
+        modal.style.display = 'flex';
+
+        const close = () => { modal.style.display = 'none'; };
+        document.getElementById('duplicates-close-btn').onclick = close;
+        modal.onclick = (e) => { if (e.target === modal) close(); };
+        document.getElementById('duplicates-remove-btn').onclick = () => {
+            const indexes = [...listEl.querySelectorAll('input[type="checkbox"]:checked')].map(input => Number(input.dataset.index));
+            close();
+            if (indexes.length > 0) removeSongsFromPlaylist(playlistId, indexes);
+        };
+    }
+
+    /**
+     * Fetches the playlist's YouTube Music source and previews what changed upstream since
+     * the last sync before applying it.
+     */
+    async function syncPlaylist(playlistId, button) {
+        const playlist = getPlaylists().find(p => p.id === playlistId);
+        if (!playlist?.source) return;
+        button.disabled = true;
+        button.textContent = 'Checking...';
+        const details = await window.electronAPI.getBrowseDetails({ id: playlist.source.browseId, type: playlist.source.type }, userCountry, { refresh: true });
+        button.disabled = false;
+        button.textContent = 'Sync';
+        if (!details?.tracks) return showNotification("Could not reach the original playlist.", 'error');
+
+        const previousIds = new Set(playlist.source.trackIds);
+        const upstreamIds = new Set(details.tracks.map(song => song.id));
+        const localIds = new Set(playlist.songs.map(song => song.id));
+        const added = details.tracks.filter(song => !previousIds.has(song.id) && !localIds.has(song.id));
+        const removed = playlist.songs.filter(song => previousIds.has(song.id) && !upstreamIds.has(song.id));
+        if (added.length === 0 && removed.length === 0) {
+            updatePlaylist(playlistId, { source: { ...playlist.source, trackIds: [...upstreamIds], syncedAt: Date.now() } });
+            return showNotification("Already up to date.", 'success');
+        }
+
+        const modal = document.getElementById('sync-preview-modal');
+        const changeHtml = (song, kind) => `
+            <div class="sync-change ${kind}">
+                <span class="sync-change-sign">${kind === 'added' ? '+' : '−'}</span>
+                <span class="duplicate-title">${escapeHTML(song.title)}</span>
+                <span class="duplicate-artist">${escapeHTML((song.artists || []).join(', '))}</span>
+            </div>`;
+        document.getElementById('sync-preview-summary').textContent =
+            `${added.length} added and ${removed.length} removed on YouTube Music since ${new Date(playlist.source.syncedAt).toLocaleDateString()}. Songs you added yourself are kept.`;
+        document.getElementById('sync-preview-list').innerHTML = added.map(song => changeHtml(song, 'added')).join('') + removed.map(song => changeHtml(song, 'removed')).join('');
+        modal.style.display = 'flex';
+
+        const close = () => { modal.style.display = 'none'; };
+        document.getElementById('sync-cancel-btn').onclick = close;
+        modal.onclick = (e) => { if (e.target === modal) close(); };
+        document.getElementById('sync-apply-btn').onclick = () => {
+            close();
+            applyPlaylistSync(playlistId, details.tracks, new Set(removed.map(song => song.id)));
+            showNotification("Playlist synced.", 'success');
+            loadPlaylistView(playlistId, true);
+        };
+    }
+
+    async function loadPlaylistView(playlistId, fromHistory = false) {
+        if (!fromHistory) pushState({ type: 'playlist', payload: { playlistId } });
+        const playlist = getPlaylists().find(p => p.id === playlistId);
         if (!playlist) return loadView('playlists');
+        const getPlaylist = () => getPlaylists().find(p => p.id === playlistId);
 
         const headerHtml = `
             <div class="browse-view-header">
-                <div class="playlist-item-card" style="width: 200px; height: 200px; cursor: default;"><i data-feather="music" class="icon-placeholder" style="width: 80px; height: 80px;"></i></div>
+                <div class="playlist-cover playlist-cover-large" id="playlist-cover" title="Change Cover">${getPlaylistCoverHtml(playlist)}</div>
+                <input type="file" id="playlist-cover-input" accept="image/*" style="display: none;">
                 <div class="browse-view-info">
-                     <h2 class="browse-view-type">Playlist</h2>
-                     <h1 class="browse-view-title">${escapeHTML(playlist.name)}</h1>
-                     <p class="browse-view-meta">${playlist.songs.length} songs</p>
-                     <div style="display: flex; gap: 10px; margin-top: 20px;">
+                     <h2 class="browse-view-type">${playlist.smart ? 'Smart Playlist' : 'Playlist'}</h2>
+                     <h1 class="browse-view-title playlist-editable" id="playlist-title" contenteditable="plaintext-only" spellcheck="false" title="Click to rename">${escapeHTML(playlist.name)}</h1>
+                     <p class="playlist-description playlist-editable" id="playlist-description" contenteditable="plaintext-only" data-placeholder="Add a description">${escapeHTML(playlist.description || '')}</p>
+                     ${playlist.smart ? `<p class="smart-rules-summary">${escapeHTML(describeSmartRules(playlist.smart))}</p>` : ''}
+                     <p class="browse-view-meta" id="playlist-meta">${escapeHTML(getPlaylistMeta(playlist))}</p>
+                     <div style="display: flex; gap: 10px; margin-top: 20px; flex-wrap: wrap;">
                         <button id="delete-playlist-btn" class="action-btn" style="background: #c0392b;">Delete</button>
                         <button id="export-playlist-btn" class="action-btn">Export</button>
+                        <button id="download-playlist-btn" class="action-btn" style="background: #555;">Download</button>
+                        ${playlist.source ? '<button id="sync-playlist-btn" class="action-btn" style="background: #555;">Sync</button>' : ''}
+                        ${playlist.smart
+                            ? '<button id="edit-rules-btn" class="action-btn" style="background: #555;">Edit Rules</button>'
+                            : '<button id="find-duplicates-btn" class="action-btn" style="background: #555;">Find Duplicates</button>'}
+                        <button id="remove-cover-btn" class="action-btn" style="background: #555; display: ${playlist.cover ? 'flex' : 'none'};">Remove Cover</button>
                      </div>
                 </div>
             </div>`;
         const songsHtml = playlist.songs.length > 0
-            ? playlist.songs.map((song, i) => {
-                const songData = escapeHTML(JSON.stringify(song));
-                return `
-                <div class="search-result-list-item song-item" data-song='${songData}'>
-                    <div class="result-number">${i + 1}</div>
-                    <img data-src="${escapeHTML(song.thumbnails?.[0]?.url || 'assets/icons/default-art.png')}" class="result-thumbnail">
-                    <div class="result-info">
-                        <div class="result-title">${escapeHTML(song.title)}</div>
-                        <div class="result-artist">${escapeHTML((song.artists || []).join(', '))}</div>
-                    </div>
-                    <div class="result-actions">
-                        <button class="add-queue-btn" title="Add to Queue"><i data-feather="plus"></i></button>
-                        <button class="remove-song-btn" data-song-id="${escapeHTML(song.id)}" title="Remove"><i data-feather="x"></i></button>
-                    </div>
-                    <div class="result-duration">${escapeHTML(formatTime(song.duration))}</div>
-                </div>`;
-            }).join('')
-            : '<p style="padding: 20px 0;">This playlist is empty. Add songs to it!</p>';
-        mainView.innerHTML = headerHtml + `<div class="song-list-container">${songsHtml}</div>`;
+            ? playlist.songs.map((song, index) => getPlaylistSongRowHtml(song, index, !playlist.smart)).join('')
+            : `<p style="padding: 20px 0;">${playlist.smart ? 'No songs match these rules yet.' : 'This playlist is empty. Add songs to it!'}</p>`;
+        mainView.innerHTML = headerHtml + `<div class="song-list-container" id="playlist-song-list" data-playlist-id="${escapeHTML(playlistId)}">${songsHtml}</div>`;
         
         mainView.querySelector('#delete-playlist-btn').onclick = () => deletePlaylist(playlistId);
-        mainView.querySelector('#export-playlist-btn').onclick = async () => {
-            const result = await window.electronAPI.exportPlaylist(JSON.stringify(playlist, null, 2));
-            if (result.success) showNotification('Playlist exported!', 'success');
-            else if (result.error && result.error !== 'User canceled.') showNotification(`Export failed: ${result.error}`, 'error');
+        mainView.querySelector('#download-playlist-btn').onclick = () => downloadSongs(getPlaylist().songs);
+        mainView.querySelector('#export-playlist-btn').onclick = (e) => {
+            e.stopPropagation();
+            showPlaylistExportMenu(e.currentTarget, playlistId);
+        };
+        if (playlist.source) mainView.querySelector('#sync-playlist-btn').onclick = (e) => syncPlaylist(playlistId, e.currentTarget);
+        if (playlist.smart) mainView.querySelector('#edit-rules-btn').onclick = () => openSmartPlaylistModal(getPlaylist());
+        else mainView.querySelector('#find-duplicates-btn').onclick = () => showDuplicatesModal(playlistId);
+
+        makeInlineEditable(mainView.querySelector('#playlist-title'), {
+            onSave: (name) => { updatePlaylist(playlistId, { name }); showNotification("Playlist renamed.", 'success'); }
+        });
+        makeInlineEditable(mainView.querySelector('#playlist-description'), {
+            allowEmpty: true, maxLength: 300,
+            onSave: (description) => updatePlaylist(playlistId, { description })
+        });
+
+        const coverInput = mainView.querySelector('#playlist-cover-input');
+        mainView.querySelector('#playlist-cover').onclick = () => coverInput.click();
+        coverInput.onchange = async () => {
+            const file = coverInput.files[0];
+            coverInput.value = '';
+            if (!file) return;
+            try {
+                const updated = updatePlaylist(playlistId, { cover: await readCoverImage(file) });
+                if (updated) updatePlaylistViewDetails(updated);
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        };
+        mainView.querySelector('#remove-cover-btn').onclick = () => {
+            const updated = updatePlaylist(playlistId, { cover: null });
+            if (updated) updatePlaylistViewDetails(updated);
+        };
+
+        const songList = mainView.querySelector('#playlist-song-list');
+        songList.querySelectorAll('.remove-song-btn').forEach(button => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                const row = button.closest('.song-item');
+                removeSongsFromPlaylist(playlistId, [[...songList.querySelectorAll('.song-item')].indexOf(row)]);
+            };
+        });
+        if (typeof Sortable !== 'undefined' && !playlist.smart && playlist.songs.length > 1) {
+            Sortable.create(songList, {
+                animation: 150, ghostClass: 'ghost', draggable: '.song-item',
+                onEnd: (evt) => {
+                    if (evt.oldIndex === evt.newIndex) return;
+                    movePlaylistSong(playlistId, evt.oldIndex, evt.newIndex);
+                    updatePlaylistViewDetails(getPlaylist());
+                }
+            });
+        }
+
+        attachItemClickListeners(mainView, (song) => playSong(song, getPlaylist()));
+        setupImageObserver();
+        feather.replace();
+    }
+    
+    // =========================================================================
+    // --- 6. Playback & Theme Logic ---
+    // =========================================================================
+
+    async function updateDynamicTheme(imageUrl) {
+        if (!imageUrl || document.body.dataset.theme !== 'dynamic') return;
+        const img = new Image();
+        img.crossOrigin = "Anonymous";
+        img.src = imageUrl;
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(img, 0, 0);
+            const { data } = ctx.getImageData(0, 0, img.width, img.height);
+            
+            let colorCounts = {};
+            let maxCount = 0;
+            let dominantColor = [0,0,0];
+
+            for (let i = 0; i < data.length; i += 4 * 5) {
+                let r = data[i];
+                let g = data[i + 1];
+                let b = data[i + 2];
+                if (r > 10 && g > 10 && b > 10 && Math.abs(r-g) > 5 && Math.abs(r-b) > 5 && Math.abs(g-b) > 5) {
+                    const key = `${r},${g},${b}`;
+                    colorCounts[key] = (colorCounts[key] || 0) + 1;
+                    if (colorCounts[key] > maxCount) {
+                        maxCount = colorCounts[key];
+                        dominantColor = [r,g,b];
+                    }
+                }
+            }
+            const [r, g, b] = dominantColor;
+            const accent = `rgb(${r}, ${g}, ${b})`;
+            const bg = `rgb(${Math.round(r*0.1)}, ${Math.round(g*0.1)}, ${Math.round(b*0.1)})`;
+            const bgMid = `rgb(${Math.round(r*0.2)}, ${Math.round(g*0.2)}, ${Math.round(b*0.2)})`;
+            
+            document.body.style.setProperty('--dynamic-accent', accent);
+            document.body.style.setProperty('--dynamic-accent-dark', `rgb(${Math.round(r*0.9)}, ${Math.round(g*0.9)}, ${Math.round(b*0.9)})`);
+            document.body.style.setProperty('--dynamic-bg', bg);
+            document.body.style.setProperty('--dynamic-bg-mid', bgMid);
+            document.body.style.setProperty('--dynamic-bg-end', bg);
+        };
+    }
+
+    function updateNowPlayingInfo(song) {
+        const thumbnailUrl = song.thumbnails?.[0]?.url || 'assets/icons/default-art.png';
+        document.getElementById("player-thumbnail").src = thumbnailUrl;
+        document.getElementById("current-song-title").textContent = song.title;
+        document.getElementById("current-song-artist").textContent = (song.artists || []).join(', ');
+        document.getElementById("now-playing-info").style.display = "flex";
+        return thumbnailUrl;
+    }
+
+    function getArtworkUrl(song, size = 544) {
+        const url = song?.thumbnails?.[song.thumbnails.length - 1]?.url;
+        return url ? url.replace(/w\d+-h\d+/, `w${size}-h${size}`) : '';
+    }
+
+    // --- OS Media Integration (MediaSession, media keys, MPRIS) ---
+
+    function updateMediaSessionMetadata(song) {
+        if (!('mediaSession' in navigator) || !song) return;
+        const artworkUrl = getArtworkUrl(song);
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: song.title || '',
+            artist: (song.artists || []).join(', '),
+            album: song.album || '',
+            artwork: artworkUrl ? [{ src: artworkUrl, sizes: '544x544' }] : []
+        });
+    }
+
+    function publishMediaState() {
+        lastMediaStatePublishTime = Date.now();
+        const song = queueManager.getCurrentItem();
+        const duration = isNaN(audioPlayer.duration) ? (song?.duration || 0) : audioPlayer.duration;
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = !song ? 'none' : (audioPlayer.paused ? 'paused' : 'playing');
+            if (song && duration > 0) {
+                try {
+                    navigator.mediaSession.setPositionState({
+                        duration,
+                        playbackRate: audioPlayer.playbackRate,
+                        position: Math.min(restoredPlaybackPosition ?? audioPlayer.currentTime, duration)
+                    });
+                } catch (error) { console.error("Failed to update media position state:", error); }
+            }
+        }
+        window.electronAPI.updateMediaState({
+            song: song ? { id: song.id, title: song.title, artists: song.artists || [], album: song.album || '', artworkUrl: getArtworkUrl(song) } : null,
+            isPlaying: !audioPlayer.paused,
+            isLiked: !!song && likedSongs.some(liked => liked.id === song.id),
+            position: restoredPlaybackPosition ?? audioPlayer.currentTime,
+            duration
+        });
+    }
+
+    /**
+     * Handles playback commands from the MediaSession API and from the main process
+     * (global media keys, MPRIS). A key press can reach us through more than one of
+     * these paths, so a repeat within a short window is ignored. Play, pause and play-pause
+     * count as the same command: one key press can arrive as 'play-pause' from the global
+     * shortcut and as 'play' or 'pause' from the MediaSession.
+     */
+    function handleMediaCommand(command, value) {
+        const now = Date.now();
+        const group = ['play', 'pause', 'play-pause'].includes(command) ? 'play-pause' : command;
+        if (command !== 'seek' && lastMediaCommand.command === group && now - lastMediaCommand.time < 300) return;
+        lastMediaCommand = { command: group, time: now };
+
+        switch (command) {
+            case 'play': if (audioPlayer.paused) togglePlayPause(); break;
+            case 'pause': if (!audioPlayer.paused) togglePlayPause(); break;
+            case 'play-pause': togglePlayPause(); break;
+            case 'next': queueManager.next(); break;
+            case 'previous': queueManager.previous(); break;
+            case 'toggle-like': toggleLikeSong(); break;
+            case 'seek':
+                if (!isNaN(audioPlayer.duration) && typeof value === 'number') {
+                    audioPlayer.currentTime = Math.max(0, Math.min(value, audioPlayer.duration));
+                    publishMediaState();
+                }
+                break;
+        }
+    }
+
+    function setupMediaSession() {
+        window.electronAPI.onMediaCommand(handleMediaCommand);
+        if (!('mediaSession' in navigator)) return;
+        const actions = {
+            play: () => handleMediaCommand('play'),
+            pause: () => handleMediaCommand('pause'),
+            nexttrack: () => handleMediaCommand('next'),
+            previoustrack: () => handleMediaCommand('previous'),
+            seekto: (details) => handleMediaCommand('seek', details.seekTime),
+            seekbackward: (details) => handleMediaCommand('seek', audioPlayer.currentTime - (details.seekOffset || 10)),
+            seekforward: (details) => handleMediaCommand('seek', audioPlayer.currentTime + (details.seekOffset || 10))
+        };
+        for (const [action, handler] of Object.entries(actions)) {
+            try { navigator.mediaSession.setActionHandler(action, handler); }
+            catch (error) { console.warn(`Media session action "${action}" is not supported.`); }
+        }
+    }
+
+    // --- Gapless & Crossfade Transitions ---
+
+    function fadeVolume(player, from, to, seconds, onDone) {
+        const steps = Math.max(1, Math.round((seconds * 1000) / 50));
+        let step = 0;
+        player.volume = from;
+        const timer = setInterval(() => {
+            step++;
+            player.volume = Math.max(0, Math.min(1, from + (to - from) * (step / steps)));
+            if (step >= steps) {
+                clearInterval(timer);
+                onDone?.();
+            }
+        }, 50);
+    }
+
+    function resetStandbyPlayer() {
+        standbyPlayer.pause();
+        standbyPlayer.removeAttribute('src');
+        delete standbyPlayer.dataset.songId;
+        standbyPlayer.load();
+    }
+
+    /**
+     * Loads the next track into the standby element so it is buffered before it's needed.
+     * While a crossfade is still fading the standby element out, the preload waits for it.
+     */
+    function preloadStandbyPlayer(songId, url) {
+        if (playbackTransition === 'off' || !url) return;
+        if (isCrossfading) {
+            pendingStandbyPreload = { songId, url };
+            return;
+        }
+        if (standbyPlayer.dataset.songId === songId && standbyPlayer.src === url) return;
+        setPlayerSource(standbyPlayer, url);
+        standbyPlayer.dataset.songId = songId;
+        standbyPlayer.preload = 'auto';
+        standbyPlayer.load();
+    }
+
+    function isPreloadedInStandby(songId) {
+        return playbackTransition !== 'off' && !isCrossfading
+            && standbyPlayer.dataset.songId === songId && !!standbyPlayer.src
+            && !isStreamUrlExpired(standbyPlayer.src);
+    }
+
+    /**
+     * Makes the standby element the active player, optionally crossfading out of the old one.
+     */
+    function switchToStandbyPlayer(fadeSeconds = 0) {
+        const previousPlayer = audioPlayer;
+        [audioPlayer, standbyPlayer] = [standbyPlayer, audioPlayer];
+        delete audioPlayer.dataset.songId;
+        bindAudioPlayerEvents();
+        handleLoadedMetadata();
+
+        const targetVolume = Number(volumeSlider.value);
+        if (fadeSeconds > 0 && !previousPlayer.paused) {
+            isCrossfading = true;
+            fadeVolume(audioPlayer, 0, targetVolume, fadeSeconds);
+            fadeVolume(previousPlayer, previousPlayer.volume, 0, fadeSeconds, () => {
+                isCrossfading = false;
+                resetStandbyPlayer();
+                if (pendingStandbyPreload) {
+                    const { songId, url } = pendingStandbyPreload;
+                    pendingStandbyPreload = null;
+                    preloadStandbyPlayer(songId, url);
+                }
+            });
+        } else {
+            audioPlayer.volume = targetVolume;
+            resetStandbyPlayer();
+        }
+    }
+
+    /**
+     * Starts the next track early when crossfade is on and it is already buffered.
+     */
+    function maybeStartCrossfade() {
+        if (playbackTransition !== 'crossfade' || isCrossfading || isSongLoading) return;
+        if (queueManager.repeatMode === 'one' || isNaN(audioPlayer.duration)) return;
+        if (audioPlayer.duration - audioPlayer.currentTime > crossfadeSeconds) return;
+        const nextSong = queueManager.getNextItem();
+        if (nextSong && isPreloadedInStandby(nextSong.id)) queueManager.next({ crossfade: true });
+    }
+
+    // --- Stream Recovery ---
+
+    function setBufferingState(isBuffering) {
+        loadingOverlay.style.display = isBuffering ? 'block' : 'none';
+        playerBar.classList.toggle('buffering', isBuffering);
+    }
+
+    function cancelStreamRecovery() {
+        clearTimeout(streamRecovery?.timer);
+        clearTimeout(stallTimer);
+        streamRecovery = null;
+        stallTimer = null;
+    }
+
+    /**
+     * Gets a fresh stream URL for `song` and resumes it at `position`, retrying with
+     * backoff. Googlevideo URLs expire, and a dropped connection kills the element's
+     * stream, so neither needs the user to start the song again. If every attempt fails
+     * the song is skipped.
+     */
+    function recoverStream(song, position, { maxAttempts = STREAM_RECOVERY_DELAYS_MS.length, isStarting = false } = {}) {
+        if (!song || streamRecovery?.songId === song.id) return; // Already recovering
+        cancelStreamRecovery();
+        console.warn(`Recovering the stream for "${song.title}" at ${formatTime(position)}`);
+        streamRecovery = { songId: song.id, position, attempt: 0, maxAttempts, isStarting, timer: null };
+        scheduleStreamRecoveryAttempt(streamRecovery);
+    }
+
+    function scheduleStreamRecoveryAttempt(recovery) {
+        if (recovery.attempt >= recovery.maxAttempts) return skipUnplayableSong(recovery);
+        setBufferingState(true);
+        recovery.timer = setTimeout(() => attemptStreamRecovery(recovery), STREAM_RECOVERY_DELAYS_MS[recovery.attempt]);
+        recovery.attempt++;
+    }
+
+    async function attemptStreamRecovery(recovery) {
+        const song = queueManager.getCurrentItem();
+        if (streamRecovery !== recovery) return;
+        if (song?.id !== recovery.songId) return cancelStreamRecovery();
+        const streamUrl = await window.electronAPI.getAudioStream(song.id, { refresh: true });
+        if (streamRecovery !== recovery) return; // Another song was started meanwhile
+        if (!streamUrl) return scheduleStreamRecoveryAttempt(recovery);
+        try {
+            setPlayerSource(audioPlayer, streamUrl);
+            audioPlayer.currentTime = recovery.position;
+            await audioPlayer.play();
+            if (streamRecovery !== recovery) return;
+            streamRecovery = null;
+            setBufferingState(false);
+            if (recovery.isStarting) handleSongStarted(song);
+            else consecutivePlaybackFailures = 0;
+        } catch (error) {
+            if (streamRecovery !== recovery) return;
+            console.error(`Stream recovery attempt ${recovery.attempt} failed:`, error);
+            scheduleStreamRecoveryAttempt(recovery);
+        }
+    }
+
+    function skipUnplayableSong(recovery) {
+        const song = queueManager.getCurrentItem();
+        streamRecovery = null;
+        setBufferingState(false);
+        consecutivePlaybackFailures++;
+        if (consecutivePlaybackFailures >= MAX_CONSECUTIVE_SKIPS) {
+            consecutivePlaybackFailures = 0;
+            return showNotification("Playback stopped: several songs in a row couldn't be played. Check your connection.", 'error', 5000);
+        }
+        showNotification(`Couldn't play "${song?.title || 'this song'}", skipping.`, 'error');
+        if (song?.id === recovery.songId) queueManager.next();
+    }
+
+    function handleAudioError() {
+        const song = queueManager.getCurrentItem();
+        // Failures while a song is starting are handled by playAudioAndUpdateUI, and a paused
+        // stream is only replaced once the user presses play again (see togglePlayPause).
+        if (!song || isSongLoading || audioPlayer.paused || !audioPlayer.src) return;
+        console.error("Audio element error:", audioPlayer.error);
+        recoverStream(song, audioPlayer.currentTime);
+    }
+
+    /**
+     * 'waiting' and 'stalled' are normal while buffering; only replace the stream if
+     * playback hasn't moved on after STALL_TIMEOUT_MS.
+     */
+    function watchForStall() {
+        if (stallTimer || streamRecovery || isSongLoading || audioPlayer.paused) return;
+        const player = audioPlayer;
+        const position = player.currentTime;
+        stallTimer = setTimeout(() => {
+            stallTimer = null;
+            if (player !== audioPlayer || player.paused || player.currentTime !== position || isSongLoading) return;
+            recoverStream(queueManager.getCurrentItem(), position);
+        }, STALL_TIMEOUT_MS);
+    }
+
+    async function playAudioAndUpdateUI(song, token, startTime = 0, { crossfade = false } = {}) {
+        if (!song || !song.id) return;
+
+        if (token !== latestPlayRequestToken) {
+            console.log(`Cancelling stale play request for "${song.title}"`);
+            return;
+        }
+
+        cancelStreamRecovery();
+        isSongLoading = true;
+        try {
+            loadingOverlay.style.display = 'block';
+            playerBar.classList.add('buffering');
+
+            const isPreloaded = isPreloadedInStandby(song.id);
+            if (isPreloaded) {
+                switchToStandbyPlayer(crossfade ? crossfadeSeconds : 0);
+            } else {
+                const streamUrl = queueManager.getPrefetchedUrl(song.id) || await window.electronAPI.getAudioStream(song.id);
+
+                if (token !== latestPlayRequestToken) {
+                    console.log(`Cancelling stale play request for "${song.title}" after fetch.`);
+                    throw new Error("Stale request");
+                }
+                if (!streamUrl) throw new Error("Could not fetch stream URL");
+                setPlayerSource(audioPlayer, streamUrl);
+            }
+
+            queueManager.releasePrefetchedUrl(song.id);
+            restoredPlaybackPosition = null;
+            if (startTime > 0) audioPlayer.currentTime = startTime;
+            loadAudioSettingsForSong(song);
+            await audioPlayer.play();
+            handleSongStarted(song);
+        } catch (err) {
+            if (err.message !== "Stale request" && token === latestPlayRequestToken) {
+                console.error("Error playing stream:", err);
+                // The URL may have come from a cache or prefetch and gone bad, so try once
+                // more with a fresh one before skipping.
+                recoverStream(song, startTime, { maxAttempts: 1, isStarting: true });
+            }
+        } finally {
+            isSongLoading = false;
+            if (!streamRecovery) setBufferingState(false);
+        }
+    }
+
+    /**
+     * Updates everything that follows the current song once its audio is playing.
+     */
+    function handleSongStarted(song) {
+        consecutivePlaybackFailures = 0;
+        const thumbnailUrl = updateNowPlayingInfo(song);
+        updateMediaSessionMetadata(song);
+        publishMediaState();
+        loadLyrics(song);
+
+        updateRecentlyPlayed(song);
+        startListeningSession(song);
+        updateLikeButtonState();
+        updateDynamicTheme(thumbnailUrl.replace('w60-h60', 'w544-h544'));
+        queueManager.addToHistory(song.id);
+        queueManager.prefetchNext();
+        queueManager.fetchUpNext();
+    }
+
+    async function playSong(song, sourcePlaylist = null) {
+        if (!song || !song.id) return;
+        const currentItem = queueManager.getCurrentItem();
+        if (currentItem && audioPlayer.src && song.id === currentItem.id && audioPlayer.paused) {
+            return audioPlayer.play();
+        }
+        
+        const playToken = ++latestPlayRequestToken;
+        queueManager.setSongForPlayback(song, sourcePlaylist);
+        await playAudioAndUpdateUI(queueManager.getCurrentItem(), playToken);
+    }
+    
+    async function playVideo(video) {
+        if (isVideoLoading) return;
+        isVideoLoading = true;
+        wasAudioPlayingBeforeVideo = !audioPlayer.paused;
+        if (wasAudioPlayingBeforeVideo) audioPlayer.pause();
+        videoPlayerContainer.style.display = 'flex';
+        try {
+            showNotification("Fetching video stream...");
+            const videoUrl = await window.electronAPI.getVideoStream(video.id);
+            if (isVideoLoading && videoUrl) {
+                videoPlayerContainer.classList.add('visible');
+                localVideoPlayer.src = videoUrl;
+                localVideoPlayer.play();
+            } else if (!videoUrl) {
+                showNotification("Could not fetch video URL.", 'error');
+                hideVideoPlayer(); 
+            }
+        } catch (error) {
+            showNotification("Error playing video.", 'error');
+            hideVideoPlayer();
+        }
+    }
+
+    function togglePlayPause() {
+        if (videoPlayerContainer.classList.contains('visible')) return;
+        if (streamRecovery) {
+            // Pressing pause while a stream is being recovered gives up on resuming it.
+            cancelStreamRecovery();
+            setBufferingState(false);
+            return;
+        }
+        if (!audioPlayer.src) {
+            if (queueManager.getCurrentItem()) resumeRestoredSession();
+            return;
+        }
+        if (audioPlayer.paused) {
+            // A URL that expired (or broke) during a long pause is replaced before resuming.
+            if (audioPlayer.error || isStreamUrlExpired(audioPlayer.src)) return recoverStream(queueManager.getCurrentItem(), audioPlayer.currentTime);
+            audioPlayer.play();
+        } else {
+            audioPlayer.pause();
+        }
+    }
+    
+    /**
+     * Shows the last session's track paused at its saved position. The stream
+     * itself is only resolved once the user presses play.
+     */
+    function restoreSession() {
+        const session = loadSession();
+        if (!session) return;
+        if (typeof session.volume === 'number') {
+            audioPlayer.volume = session.volume;
+            volumeSlider.value = session.volume;
+        }
+        restoredPlaybackPosition = session.currentTime || 0;
+        const song = queueManager.restoreSessionState(session);
+        if (!song) {
+            restoredPlaybackPosition = null;
+            return;
+        }
+
+        updateNowPlayingInfo(song);
+        updateMediaSessionMetadata(song);
+        updateLikeButtonState();
+        publishMediaState();
+        currentTimeDisplay.textContent = formatTime(restoredPlaybackPosition);
+        durationDisplay.textContent = formatTime(song.duration);
+        progressBar.value = song.duration ? (restoredPlaybackPosition / song.duration) * 100 : 0;
+        loadLyrics(song);
+    }
+
+    function seekTo(time) {
+        if (!isNaN(audioPlayer.duration)) {
+            audioPlayer.currentTime = Math.max(0, Math.min(time, audioPlayer.duration));
+        } else if (restoredPlaybackPosition !== null) {
+            // Seeking a restored track before it is resumed just moves the saved position.
+            const duration = queueManager.getCurrentItem()?.duration || 0;
+            restoredPlaybackPosition = Math.max(0, Math.min(time, duration));
+            currentTimeDisplay.textContent = formatTime(restoredPlaybackPosition);
+            progressBar.value = duration ? (restoredPlaybackPosition / duration) * 100 : 0;
+            saveSession();
+            syncLyrics();
+        }
+    }
+
+    function resumeRestoredSession() {
+        const song = queueManager.getCurrentItem();
+        if (!song) return;
+        const playToken = ++latestPlayRequestToken;
+        playAudioAndUpdateUI(song, playToken, restoredPlaybackPosition || 0);
+    }
+
+    function hideVideoPlayer() {
+        isClosingVideoPlayer = true;
+        if (isVideoLoading) {
+            window.electronAPI.cancelVideoStream();
+            isVideoLoading = false;
+        }
+        localVideoPlayer.pause();
+        localVideoPlayer.src = '';
+        videoPlayerContainer.classList.remove('visible');
+        setTimeout(() => videoPlayerContainer.style.display = 'none', 300);
+        if (wasAudioPlayingBeforeVideo) {
+            audioPlayer.play();
+            wasAudioPlayingBeforeVideo = false;
+        }
+    }
+
+    async function downloadSong() {
+        const song = queueManager.getCurrentItem();
+        if (!song) return showNotification('No song is currently playing.', 'error');
+        await downloadSongs([song]);
+    }
+
+    async function saveSongCopy(song) {
+        try {
+            const filename = `${song.title} - ${(song.artists || []).join(', ')}`;
+            await window.electronAPI.downloadAudio(song.id, filename, song);
+            showNotification('Saved a copy!', 'success');
+        } catch (error) {
+            if (error.message !== 'User canceled.') showNotification('Could not save the file.', 'error');
+        }
+    }
+
+    // =========================================================================
+    // --- 6b. Downloads & Offline Library ---
+    // =========================================================================
+
+    async function downloadSongs(songs) {
+        const downloadable = (songs || []).filter(song => song && song.id && ['song', 'video', undefined].includes(song.type));
+        if (downloadable.length === 0) return showNotification('Nothing to download.', 'error');
+        const items = await window.electronAPI.enqueueDownloads(downloadable);
+        items.forEach(item => downloadItems.set(item.id, item));
+        showNotification(downloadable.length === 1
+            ? `Downloading "${downloadable[0].title}"`
+            : `Added ${downloadable.length} songs to downloads`);
+    }
+
+    function getDownloadItemHtml(item) {
+        const statusLabels = { queued: 'Queued', processing: 'Converting...', completed: 'Downloaded', failed: 'Failed', canceled: 'Canceled' };
+        const status = item.status === 'downloading' ? `${Math.round(item.progress)}%` : statusLabels[item.status];
+        const isActive = ['queued', 'downloading', 'processing'].includes(item.status);
+        const canRetry = ['failed', 'canceled'].includes(item.status);
+        const song = item.song;
+        return `
+            <li class="download-item ${escapeHTML(item.status)}" data-download-id="${escapeHTML(item.id)}" title="${escapeHTML(item.error || '')}">
+                <img src="${escapeHTML(song.thumbnails?.[0]?.url || 'assets/icons/default-art.png')}" alt="${escapeHTML(song.title)}" class="queue-thumbnail">
+                <div class="download-info">
+                    <div class="queue-title">${escapeHTML(song.title)}</div>
+                    <div class="queue-artist">${escapeHTML((song.artists || []).join(', '))} &middot; ${escapeHTML(status)}</div>
+                    <div class="download-progress"><div class="download-progress-fill" style="width: ${Number(item.progress) || 0}%;"></div></div>
+                </div>
+                <div class="download-actions">
+                    ${isActive ? `<button data-action="cancel" title="Cancel"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg></button>` : ''}
+                    ${canRetry ? `<button data-action="retry" title="Retry"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg></button>` : ''}
+                </div>
+            </li>`;
+    }
+
+    function renderDownloadQueue() {
+        const listEl = document.getElementById('download-queue-list');
+        if (!listEl) return;
+        const items = [...downloadItems.values()];
+        listEl.innerHTML = items.length > 0
+            ? items.map(getDownloadItemHtml).join('')
+            : '<li class="queue-empty-message">No downloads yet. Use the download button on any song.</li>';
+    }
+
+    function handleDownloadProgress(item) {
+        const previous = downloadItems.get(item.id);
+        downloadItems.set(item.id, item);
+        if (previous?.status !== item.status) {
+            if (item.status === 'completed' && previous) {
+                showNotification(`Downloaded "${item.song.title}"`, 'success');
+                refreshLibraryList();
+            } else if (item.status === 'failed') {
+                showNotification(`Download failed: ${item.song.title}`, 'error');
+            }
+        }
+        const row = document.querySelector(`#download-queue-list [data-download-id="${CSS.escape(item.id)}"]`);
+        if (row) row.outerHTML = getDownloadItemHtml(item);
+        else renderDownloadQueue();
+    }
+
+    async function refreshLibraryList() {
+        const container = document.getElementById('library-list');
+        if (!container) return;
+        const library = await window.electronAPI.getLibrary();
+        const playAllBtn = document.getElementById('play-library-btn');
+        if (library.length === 0) {
+            container.innerHTML = '<p>Songs you download will appear here and play offline.</p>';
+            playAllBtn.style.display = 'none';
+            return;
+        }
+        const libraryContext = { tracks: library, title: 'Offline Library', type: 'library' };
+        const extraActions = `
+            <button class="save-copy-btn" title="Save a Copy"><i data-feather="save"></i></button>
+            <button class="delete-download-btn" title="Delete Download"><i data-feather="trash-2"></i></button>`;
+        container.innerHTML = library.map((song, i) => getSongListItemHtml(song, i, { extraActions })).join('');
+        playAllBtn.style.display = 'flex';
+        playAllBtn.onclick = () => playSong(library[0], libraryContext);
+
+        container.querySelectorAll('.song-item').forEach(row => {
+            const song = JSON.parse(row.dataset.song);
+            row.querySelector('.save-copy-btn').onclick = (e) => { e.stopPropagation(); saveSongCopy(song); };
+            row.querySelector('.delete-download-btn').onclick = async (e) => {
+                e.stopPropagation();
+                if (!confirm(`Delete the downloaded copy of "${song.title}"?`)) return;
+                await window.electronAPI.deleteLibraryTrack(song.id);
+                downloadItems.delete(song.id);
+                renderDownloadQueue();
+                refreshLibraryList();
+            };
+        });
+        attachItemClickListeners(container, (song) => playSong(song, libraryContext));
+        setupImageObserver();
+        feather.replace();
+    }
+
+    async function loadDownloadsView() {
+        const items = await window.electronAPI.getDownloads();
+        items.forEach(item => downloadItems.set(item.id, item));
+        renderDownloadQueue();
+
+        document.getElementById('download-queue-list').onclick = async (e) => {
+            const button = e.target.closest('button[data-action]');
+            const row = e.target.closest('[data-download-id]');
+            if (!button || !row) return;
+            const videoId = row.dataset.downloadId;
+            if (button.dataset.action === 'cancel') await window.electronAPI.cancelDownload(videoId);
+            else if (button.dataset.action === 'retry') await window.electronAPI.retryDownload(videoId);
+        };
+        document.getElementById('clear-finished-downloads-btn').onclick = async () => {
+            const remaining = await window.electronAPI.clearFinishedDownloads();
+            downloadItems = new Map(remaining.map(item => [item.id, item]));
+            renderDownloadQueue();
+        };
+        await refreshLibraryList();
+    }
+
+    // =========================================================================
+    // --- 6c. Lyrics Pane ---
+    // =========================================================================
+
+    function showRightPane(pane) {
+        activeRightPane = pane;
+        document.querySelectorAll('.pane-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.pane === pane));
+        document.getElementById('queue-pane').style.display = pane === 'queue' ? 'block' : 'none';
+        document.getElementById('lyrics-pane').style.display = pane === 'lyrics' ? 'block' : 'none';
+        if (pane === 'lyrics') {
+            loadLyrics(queueManager.getCurrentItem());
+            syncLyrics(true);
+        } else {
+            document.getElementById('right-pane-content').scrollTop = 0;
+        }
+    }
+
+    /**
+     * Loads lyrics for the current song into the lyrics pane. Nothing is fetched while
+     * the pane is hidden, it catches up when it is opened. A song without lyrics is
+     * asked for again on the next visit, the main process answers that from its cache.
+     */
+    async function loadLyrics(song) {
+        if (activeRightPane !== 'lyrics') return;
+        if (!song) {
+            lyricsRequestToken++;
+            lyricsState = { songId: null, lyrics: null, isLoading: false, activeIndex: -1 };
+            return renderLyrics('Play a song to see its lyrics.');
+        }
+        if (lyricsState.songId === song.id && (lyricsState.isLoading || lyricsState.lyrics)) return;
+
+        const token = ++lyricsRequestToken;
+        lyricsState = { songId: song.id, lyrics: null, isLoading: true, activeIndex: -1 };
+        renderLyrics('Loading lyrics...');
+        let lyrics = null;
+        try {
+            lyrics = await window.electronAPI.getLyrics(song, userCountry);
+        } catch (error) {
+            console.error("Failed to load lyrics:", error);
+        }
+        if (token !== lyricsRequestToken) return;
+        lyricsState.lyrics = lyrics;
+        lyricsState.isLoading = false;
+        renderLyrics(lyrics ? '' : 'No lyrics found for this song.');
+    }
+
+    function renderLyrics(status = '') {
+        const { lyrics } = lyricsState;
+        const listEl = document.getElementById('lyrics-list');
+        document.getElementById('lyrics-status').textContent = status;
+        document.getElementById('lyrics-source').textContent = lyrics ? `Lyrics from ${lyrics.source}` : '';
+        listEl.classList.toggle('synced', !!lyrics?.synced);
+        const lines = lyrics ? (lyrics.synced || lyrics.plain || []) : [];
+        listEl.innerHTML = lines.map((line, index) => {
+            const text = lyrics.synced ? line.text : line;
+            return `<li class="lyrics-line${text ? '' : ' empty'}" data-index="${index}">${escapeHTML(text)}</li>`;
+        }).join('');
+        syncLyrics(true);
+    }
+
+    /**
+     * Highlights the synced line at the current playback position and scrolls it
+     * to the middle of the pane.
+     */
+    function syncLyrics(isInstant = false) {
+        const synced = lyricsState.lyrics?.synced;
+        if (activeRightPane !== 'lyrics' || !synced) return;
+        const time = restoredPlaybackPosition ?? audioPlayer.currentTime;
+        let index = -1;
+        while (index + 1 < synced.length && synced[index + 1].time <= time + 0.1) index++;
+        if (index === lyricsState.activeIndex && !isInstant) return;
+        lyricsState.activeIndex = index;
+
+        const lineEls = document.getElementById('lyrics-list').children;
+        for (let i = 0; i < lineEls.length; i++) {
+            lineEls[i].classList.toggle('active', i === index);
+            lineEls[i].classList.toggle('past', i < index);
+        }
+        const activeEl = lineEls[Math.max(index, 0)];
+        if (!activeEl) return;
+        const container = document.getElementById('right-pane-content');
+        const offset = activeEl.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+        container.scrollTo({ top: offset - container.clientHeight / 2 + activeEl.offsetHeight / 2, behavior: isInstant ? 'auto' : 'smooth' });
+    }
+
+    // =========================================================================
+    // --- 6d. Command Palette ---
+    // =========================================================================
+
+    /**
+     * Scores how well `text` matches `query` as a subsequence, favoring consecutive
+     * characters and word starts. Returns null when not every character is found.
+     */
+    function fuzzyScore(query, text) {
+        const q = query.toLowerCase().replace(/\s+/g, '');
+        const t = (text || '').toLowerCase();
+        if (!q) return 0;
+        let score = 0;
+        let lastMatch = -1;
+        for (const char of q) {
+            const index = t.indexOf(char, lastMatch + 1);
+            if (index === -1) return null;
+            score += 1;
+            if (index === lastMatch + 1) score += 2;
+            if (index === 0 || /[\s\-_(/:]/.test(t[index - 1])) score += 3;
+            lastMatch = index;
+        }
+        if (t.startsWith(query.toLowerCase())) score += 5;
+        return score - t.length * 0.01; // Prefer shorter matches on a tie
+    }
+
+    function getSettingsOptions(selectId) {
+        const template = document.getElementById('template-settings');
+        return [...template.content.querySelectorAll(`#${selectId} option`)].map(option => ({ value: option.value, label: option.textContent }));
+    }
+
+    function getPaletteCommands() {
+        const commands = Object.entries(SHORTCUT_ACTIONS)
+            .filter(([action]) => action !== 'command-palette')
+            .map(([action, { label }]) => ({ label, hint: keymap[action] ? formatKeyCombo(keymap[action]) : '', run: () => runShortcutAction(action) }));
+        commands.push(
+            { label: 'Go to Downloads', run: () => loadView('downloads') },
+            { label: 'Go to Stats', run: () => loadView('stats') },
+            { label: 'Show Lyrics', run: () => showRightPane('lyrics') },
+            { label: 'Audio Settings', run: toggleAudioSettingsPanel },
+            { label: 'Switch to Mini Player', run: () => window.electronAPI.showMiniPlayer() },
+            { label: 'Toggle Shuffle', run: () => queueManager.toggleShuffle() },
+            { label: 'Change Repeat Mode', run: () => queueManager.cycleRepeatMode() },
+            { label: 'Create Playlist', run: openCreatePlaylistModal },
+            { label: 'Create Smart Playlist', run: () => openSmartPlaylistModal() },
+            { label: 'Clear Recently Played', run: () => { clearRecentlyPlayed(); if (mainView.querySelector('#recently-played')) loadHomeContent(); } }
+        );
+        getPlaylists().forEach(playlist => commands.push({ label: `Export Playlist: ${playlist.name}`, run: () => exportPlaylist(playlist) }));
+        getSettingsOptions('theme-select').forEach(({ value, label }) => commands.push({ label: `Theme: ${label}`, run: () => applyTheme(value) }));
+        getSettingsOptions('country-select').forEach(({ value, label }) => commands.push({ label: `Region: ${label}`, run: () => changeRegion(value, label) }));
+        getSettingsOptions('language-select').forEach(({ value, label }) => commands.push({ label: `Language: ${label}`, run: () => changeLanguage(value, label) }));
+        return commands;
+    }
+
+    /**
+     * Collects everything the palette can jump to. Each entry has a label, an optional
+     * detail line, the group it came from and the function that runs when it's chosen.
+     */
+    function getPaletteSources() {
+        const songEntry = (group, run) => (song) => ({ group, label: song.title, detail: (song.artists || []).join(', '), thumbnail: song.thumbnails?.[0]?.url, run: () => run(song) });
+        const recentlyPlayed = getStoredValue('recentlyPlayed', []);
+        return [
+            ...queueManager.songQueue.map((song, index) => songEntry('Queue', () => queueManager.playAtIndex(index))(song)),
+            ...getPlaylists().map(playlist => ({ group: 'Playlist', label: playlist.name, detail: `${playlist.songs.length} songs`, run: () => loadPlaylistView(playlist.id) })),
+            ...likedSongs.map(songEntry('Liked Song', (song) => playSong(song))),
+            ...recentlyPlayed.map(songEntry('Recently Played', (song) => playSong(song))),
+            ...getPaletteCommands().map(command => ({ group: 'Command', ...command }))
+        ];
+    }
+
+    function updatePaletteResults() {
+        const query = document.getElementById('command-palette-input').value.trim();
+        let entries;
+        if (!query) {
+            const sources = getPaletteSources();
+            entries = [
+                ...sources.filter(entry => entry.group === 'Recently Played').slice(0, 5),
+                ...sources.filter(entry => entry.group === 'Command')
+            ];
+        } else {
+            const seen = new Set();
+            entries = getPaletteSources()
+                .map(entry => ({ ...entry, score: fuzzyScore(query, `${entry.label} ${entry.detail || ''}`) }))
+                .filter(entry => entry.score !== null)
+                .sort((a, b) => b.score - a.score)
+                .filter(entry => {
+                    // The same song can be liked, recent and queued, only list it once.
+                    const key = entry.group === 'Playlist' || entry.group === 'Command' ? `${entry.group}:${entry.label}` : `song:${entry.label}:${entry.detail}`;
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                })
+                .slice(0, 20);
+            entries.push(
+                { group: 'Search', label: `Search for "${query}"`, run: () => { searchInput.value = query; performSearch(query); } },
+                ...paletteSuggestions.filter(suggestion => suggestion.toLowerCase() !== query.toLowerCase()).slice(0, 5)
+                    .map(suggestion => ({ group: 'Search', label: suggestion, run: () => { searchInput.value = suggestion; performSearch(suggestion); } }))
+            );
+        }
+        paletteEntries = entries;
+        paletteSelectedIndex = Math.min(paletteSelectedIndex, Math.max(entries.length - 1, 0));
+        renderPaletteResults();
+    }
+
+    function renderPaletteResults() {
+        const listEl = document.getElementById('command-palette-results');
+        listEl.innerHTML = paletteEntries.length === 0
+            ? '<li class="palette-empty">No matches</li>'
+            : paletteEntries.map((entry, index) => `
+                <li class="palette-item ${index === paletteSelectedIndex ? 'selected' : ''}" data-index="${index}">
+                    ${entry.thumbnail ? `<img src="${escapeHTML(entry.thumbnail)}" class="palette-thumbnail" alt="">` : ''}
+                    <div class="palette-info">
+                        <div class="palette-label">${escapeHTML(entry.label)}</div>
+                        ${entry.detail ? `<div class="palette-detail">${escapeHTML(entry.detail)}</div>` : ''}
+                    </div>
+                    ${entry.hint ? `<span class="palette-hint">${escapeHTML(entry.hint)}</span>` : ''}
+                    <span class="palette-group">${escapeHTML(entry.group)}</span>
+                </li>`).join('');
+        listEl.querySelector('.palette-item.selected')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    function fetchPaletteSuggestions(query) {
+        clearTimeout(paletteSuggestionTimeout);
+        paletteSuggestions = [];
+        if (query.length < 2) return;
+        paletteSuggestionTimeout = setTimeout(async () => {
+            const suggestions = await window.electronAPI.getSearchSuggestions(query, userCountry);
+            if (document.getElementById('command-palette-input').value.trim() !== query) return; // Stale
+            paletteSuggestions = suggestions || [];
+            updatePaletteResults();
+        }, 250);
+    }
+
+    function openCommandPalette() {
+        const input = document.getElementById('command-palette-input');
+        document.getElementById('command-palette').style.display = 'flex';
+        input.value = '';
+        paletteSuggestions = [];
+        paletteSelectedIndex = 0;
+        updatePaletteResults();
+        input.focus();
+    }
+
+    function closeCommandPalette() {
+        clearTimeout(paletteSuggestionTimeout);
+        document.getElementById('command-palette').style.display = 'none';
+    }
+
+    function toggleCommandPalette() {
+        if (document.getElementById('command-palette').style.display === 'flex') closeCommandPalette();
+        else openCommandPalette();
+    }
+
+    function runPaletteEntry(index) {
+        const entry = paletteEntries[index];
+        if (!entry) return;
+        closeCommandPalette();
+        entry.run();
+    }
+
+    function setupCommandPalette() {
+        const palette = document.getElementById('command-palette');
+        const input = document.getElementById('command-palette-input');
+        const listEl = document.getElementById('command-palette-results');
+
+        input.oninput = () => {
+            paletteSelectedIndex = 0;
+            fetchPaletteSuggestions(input.value.trim());
+            updatePaletteResults();
+        };
+        input.onkeydown = (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (paletteEntries.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                paletteSelectedIndex = (paletteSelectedIndex + step + paletteEntries.length) % paletteEntries.length;
+                renderPaletteResults();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                runPaletteEntry(paletteSelectedIndex);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                closeCommandPalette();
+            }
+        };
+        listEl.onclick = (e) => {
+            const item = e.target.closest('.palette-item');
+            if (item) runPaletteEntry(Number(item.dataset.index));
+        };
+        listEl.onmousemove = (e) => {
+            const item = e.target.closest('.palette-item');
+            if (!item || Number(item.dataset.index) === paletteSelectedIndex) return;
+            paletteSelectedIndex = Number(item.dataset.index);
+            listEl.querySelectorAll('.palette-item').forEach(el => el.classList.toggle('selected', el === item));
+        };
+        palette.onclick = (e) => { if (e.target === palette) closeCommandPalette(); };
+    }
+
+    // =========================================================================
+    // --- 6e. Multi-Select & Bulk Actions ---
+    // =========================================================================
+
+    /**
+     * A selection belongs to one list: the queue, or the view in the current history
+     * entry. Songs are tracked by their row's position, so re-rendering the same view keeps
+     * them selected and each copy of a song that is listed twice is selected on its own.
+     */
+    function getViewScope() {
+        const state = historyStack[historyIndex];
+        return state ? `${state.type}:${JSON.stringify(state.payload)}` : 'view';
+    }
+
+    function getSelectableRows(scope) {
+        return scope === 'queue'
+            ? [...document.querySelectorAll('#queue-list .queue-item')]
+            : [...mainView.querySelectorAll('.song-item[data-song]')];
+    }
+
+    function getRowSong(row) {
+        if (row.classList.contains('queue-item')) return queueManager.songQueue[Number(row.dataset.index)] || null;
+        try { return JSON.parse(row.dataset.song); } catch (error) { return null; }
+    }
+
+    function clearSelection() {
+        if (!selection.scope && selection.songs.size === 0) return;
+        selection = { scope: null, songs: new Map(), anchorIndex: null };
+        renderSelection();
+    }
+
+    function selectAllSongs() {
+        const scope = selection.scope === 'queue' ? 'queue' : getViewScope();
+        const songs = getSelectableRows(scope).map((row, index) => [index, getRowSong(row)]).filter(([, song]) => song?.id);
+        if (songs.length === 0) return;
+        selection = { scope, songs: new Map(songs), anchorIndex: songs[0][0] };
+        renderSelection();
+    }
+
+    /**
+     * Ctrl/Cmd-click toggles a row, Shift-click selects the range from the last clicked
+     * row (adding to the selection with Ctrl held). A plain click clears the selection
+     * and then does what it always did. Runs in the capture phase, before the row's own handlers.
+     */
+    function handleSelectionClick(e) {
+        const row = e.target.closest('#main-view .song-item[data-song], #queue-list .queue-item');
+        if (!row) return;
+        const isToggle = e.ctrlKey || e.metaKey;
+        if (!isToggle && !e.shiftKey) {
+            if (selection.songs.size > 0 && !e.target.closest('button')) clearSelection();
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+
+        const scope = row.closest('#queue-list') ? 'queue' : getViewScope();
+        if (selection.scope !== scope) selection = { scope, songs: new Map(), anchorIndex: null };
+        const rows = getSelectableRows(scope);
+        const index = rows.indexOf(row);
+        const song = getRowSong(row);
+        if (index === -1 || !song?.id) return;
+
+        if (e.shiftKey && selection.anchorIndex !== null && selection.anchorIndex < rows.length) {
+            const from = Math.min(selection.anchorIndex, index);
+            if (!isToggle) selection.songs.clear();
+            rows.slice(from, Math.max(selection.anchorIndex, index) + 1).forEach((item, offset) => {
+                const itemSong = getRowSong(item);
+                if (itemSong?.id) selection.songs.set(from + offset, itemSong);
+            });
+        } else {
+            if (selection.songs.has(index)) selection.songs.delete(index);
+            else selection.songs.set(index, song);
+            selection.anchorIndex = index;
+        }
+        renderSelection();
+    }
+
+    function getRemoveTarget() {
+        if (selection.scope === 'queue') return { label: 'Remove from Queue' };
+        const state = historyStack[historyIndex];
+        if (state?.type === 'playlist' && getEditablePlaylists().some(p => p.id === state.payload.playlistId)) {
+            return { label: 'Remove from Playlist', playlistId: state.payload.playlistId };
+        }
+        return null;
+    }
+
+    function renderSelection() {
+        document.querySelectorAll('.song-item.selected, .queue-item.selected').forEach(row => row.classList.remove('selected'));
+        if (selection.scope) {
+            const rows = getSelectableRows(selection.scope);
+            // Once the list itself changes, forget rows that now hold a different song.
+            if (rows.length > 0) {
+                selection.songs.forEach((song, index) => { if (!rows[index] || getRowSong(rows[index])?.id !== song.id) selection.songs.delete(index); });
+            }
+            selection.songs.forEach((song, index) => rows[index]?.classList.add('selected'));
+        }
+        const bar = document.getElementById('selection-bar');
+        const count = selection.songs.size;
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        if (count === 0) {
+            document.getElementById('selection-playlist-menu').style.display = 'none';
+            return;
+        }
+        document.getElementById('selection-count').textContent = `${count} selected`;
+        const removeTarget = getRemoveTarget();
+        const removeBtn = document.getElementById('selection-remove');
+        removeBtn.style.display = removeTarget ? 'block' : 'none';
+        if (removeTarget) removeBtn.textContent = removeTarget.label;
+    }
+
+    function showSelectionPlaylistMenu(anchor) {
+        const menu = document.getElementById('selection-playlist-menu');
+        if (menu.style.display === 'block') {
+            menu.style.display = 'none';
+            return;
+        }
+        const listEl = document.getElementById('selection-playlist-menu-list');
+        const playlists = getEditablePlaylists();
+        listEl.innerHTML = playlists.length > 0
+            ? playlists.map(p => `<li data-playlist-id="${escapeHTML(p.id)}"><a>${escapeHTML(p.name)}</a></li>`).join('')
+            : `<li><a>Create a playlist first</a></li>`;
+        listEl.querySelectorAll('li[data-playlist-id]').forEach(item => {
+            item.onclick = () => {
+                addSongsToPlaylist(item.dataset.playlistId, [...selection.songs.values()]);
+                menu.style.display = 'none';
+            };
+        });
+        menu.style.display = 'block';
+        const rect = anchor.getBoundingClientRect();
+        menu.style.left = `${rect.left}px`;
+        menu.style.top = `${Math.max(8, rect.top - menu.offsetHeight - 8)}px`;
+    }
+
+    function runBulkAction(action) {
+        const songs = [...selection.songs.values()];
+        if (songs.length === 0) return;
+        switch (action) {
+            case 'play-next': queueManager.addSongsToPlayNext(songs); break;
+            case 'add-queue': queueManager.addSongsToQueue(songs); break;
+            case 'like': addSongsToFavorites(songs); break;
+            case 'download': downloadSongs(songs); break;
+            case 'remove': {
+                const target = getRemoveTarget();
+                if (!target) return;
+                const selected = [...selection.songs.entries()];
+                clearSelection();
+                // Rows are in list order, so a row's position is its index in the playlist or queue.
+                const list = target.playlistId ? getPlaylists().find(p => p.id === target.playlistId).songs : queueManager.songQueue;
+                const indexes = selected.filter(([index, song]) => list[index]?.id === song.id).map(([index]) => index);
+                if (target.playlistId) removeSongsFromPlaylist(target.playlistId, indexes);
+                else queueManager.removeItems(indexes);
+                break;
+            }
+        }
+    }
+
+    function setupSelection() {
+        document.addEventListener('click', handleSelectionClick, true);
+        document.getElementById('selection-play-next').onclick = () => runBulkAction('play-next');
+        document.getElementById('selection-add-queue').onclick = () => runBulkAction('add-queue');
+        document.getElementById('selection-like').onclick = () => runBulkAction('like');
+        document.getElementById('selection-download').onclick = () => runBulkAction('download');
+        document.getElementById('selection-remove').onclick = () => runBulkAction('remove');
+        document.getElementById('selection-select-all').onclick = selectAllSongs;
+        document.getElementById('selection-clear').onclick = clearSelection;
+        document.getElementById('selection-add-playlist').onclick = (e) => {
+            e.stopPropagation();
+            showSelectionPlaylistMenu(e.currentTarget);
+        };
+
+        // Views and the queue re-render by replacing their rows, so re-apply the selection
+        // afterwards, or drop it once the user has navigated to another view.
+        const observer = new MutationObserver(() => {
+            if (selection.scope && selection.scope !== 'queue' && selection.scope !== getViewScope()) clearSelection();
+            else if (selection.songs.size > 0) renderSelection();
+        });
+        observer.observe(mainView, { childList: true, subtree: true });
+        observer.observe(document.getElementById('queue-list'), { childList: true });
+    }
+
+    // =========================================================================
+    // --- 6f. Listening History & Stats ---
+    // =========================================================================
+
+    /**
+     * Starts timing a play of `song`, recording the previous play first.
+     */
+    function startListeningSession(song) {
+        finishListeningSession();
+        listeningSession = { song, player: audioPlayer, startedAt: Date.now(), secondsListened: 0, lastPosition: audioPlayer.currentTime || 0 };
+    }
+
+    /**
+     * Adds the time played since the last update. Jumps (seeks, or a restart when repeating)
+     * are not counted, so only time actually heard adds up.
+     */
+    function trackListeningTime() {
+        if (listeningSession?.player !== audioPlayer) return;
+        const delta = audioPlayer.currentTime - listeningSession.lastPosition;
+        if (delta > 0 && delta < 3) listeningSession.secondsListened += delta;
+        listeningSession.lastPosition = audioPlayer.currentTime;
+    }
+
+    /**
+     * Records the current play in the listening history. A play counts as completed when it
+     * reached the end (or the crossfade into the next song), and as skipped when something
+     * else started before that. Plays cut short by closing the app are neither.
+     */
+    function finishListeningSession({ reachedEnd = false, isClosing = false } = {}) {
+        const session = listeningSession;
+        listeningSession = null;
+        if (!session || session.secondsListened < 1) return;
+        const duration = Number(session.song.duration) || audioPlayer.duration || 0;
+        const endMargin = (playbackTransition === 'crossfade' ? crossfadeSeconds : 0) + 2;
+        const completed = reachedEnd || (duration > 0 && session.lastPosition >= duration - endMargin);
+        const event = {
+            timestamp: session.startedAt,
+            song: session.song,
+            secondsListened: session.secondsListened,
+            skipped: !completed && !isClosing,
+            completed
+        };
+        window.electronAPI.recordPlayEvent(event);
+        updatePlayStats(session.song, event);
+    }
+
+    function formatListeningTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        if (hours >= 100) return `${hours.toLocaleString()} hr`;
+        return hours > 0 ? `${hours} hr ${minutes} min` : `${minutes} min`;
+    }
+
+    /**
+     * Totals plays and listening time per track, artist and album, and per hour of the week.
+     * Skipped plays add to listening time but not to play counts.
+     */
+    function summarizeListening(events) {
+        const tracks = new Map(), artists = new Map(), albums = new Map();
+        const hours = Array.from({ length: 7 }, () => new Array(24).fill(0)); // [day of week][hour]
+        const days = new Set();
+        let totalSeconds = 0, skips = 0;
+        const tally = (map, key, base, event) => {
+            const entry = map.get(key) || { ...base, plays: 0, seconds: 0 };
+            if (!event.skipped) entry.plays++;
+            entry.seconds += event.secondsListened;
+            map.set(key, entry);
+        };
+        events.forEach(event => {
+            const { song } = event;
+            const date = new Date(event.timestamp);
+            totalSeconds += event.secondsListened;
+            if (event.skipped) skips++;
+            hours[date.getDay()][date.getHours()] += event.secondsListened;
+            days.add(date.toDateString());
+            tally(tracks, song.id, { song }, event);
+            (song.artists || []).forEach(name => tally(artists, name.toLowerCase(), { name }, event));
+            if (song.album) tally(albums, `${song.album}|${song.artists?.[0] || ''}`.toLowerCase(), { name: song.album, artist: song.artists?.[0] || '', song }, event);
+        });
+        const rank = (map) => [...map.values()].filter(entry => entry.plays > 0).sort((a, b) => b.plays - a.plays || b.seconds - a.seconds);
+        return { totalSeconds, plays: events.length - skips, skips, tracks: rank(tracks), artists: rank(artists), albums: rank(albums), hours, days };
+    }
+
+    function getLongestStreak(days) {
+        const dayNumbers = [...days].map(day => Math.round(new Date(day).getTime() / DAY_MS)).sort((a, b) => a - b);
+        let longest = 0, current = 0;
+        dayNumbers.forEach((day, index) => {
+            current = index > 0 && day === dayNumbers[index - 1] + 1 ? current + 1 : 1;
+            longest = Math.max(longest, current);
+        });
+        return longest;
+    }
+
+    function getStatsCardsHtml(cards) {
+        return `<div class="stats-cards">${cards.map(([value, label]) => `
+            <div class="stats-card"><div class="stats-card-value">${escapeHTML(String(value))}</div><div class="stats-card-label">${escapeHTML(label)}</div></div>`).join('')}
+        </div>`;
+    }
+
+    function getTopListHtml(title, entries, getLabel) {
+        const rows = entries.slice(0, 10).map((entry, index) => {
+            const [name, detail] = getLabel(entry);
+            const plays = `${entry.plays} ${entry.plays === 1 ? 'play' : 'plays'}`;
+            return `
+                <div class="stats-row">
+                    <span class="result-number">${index + 1}</span>
+                    <div class="result-info">
+                        <div class="result-title">${escapeHTML(name)}</div>
+                        ${detail ? `<div class="result-artist">${escapeHTML(detail)}</div>` : ''}
+                    </div>
+                    <span class="stats-row-plays">${plays} • ${escapeHTML(formatListeningTime(entry.seconds))}</span>
+                </div>`;
+        }).join('');
+        return `<section class="content-section"><h2>${escapeHTML(title)}</h2>${rows || '<p>Nothing here yet.</p>'}</section>`;
+    }
+
+    function getTopTracksHtml(tracks) {
+        const rows = tracks.slice(0, 10).map((entry, index) => {
+            const { song } = entry;
+            return `
+                <div class="search-result-list-item song-item" data-song='${escapeHTML(JSON.stringify(song))}'>
+                    <div class="result-number">${index + 1}</div>
+                    <img data-src="${escapeHTML(song.thumbnails?.[0]?.url || 'assets/icons/default-art.png')}" class="result-thumbnail">
+                    <div class="result-info">
+                        <div class="result-title">${escapeHTML(song.title)}</div>
+                        <div class="result-artist">${escapeHTML((song.artists || []).join(', '))}</div>
+                    </div>
+                    <div class="result-actions">
+                        <button class="add-queue-btn" title="Add to Queue"><i data-feather="plus"></i></button>
+                    </div>
+                    <div class="stats-row-plays">${entry.plays} ${entry.plays === 1 ? 'play' : 'plays'}</div>
+                </div>`;
+        }).join('');
+        return `<section class="content-section"><h2>Top Tracks</h2><div class="song-list-container">${rows || '<p>Nothing here yet.</p>'}</div></section>`;
+    }
+
+    /**
+     * A day-of-week by hour-of-day grid, shaded by how much was listened in each hour.
+     */
+    function getHeatmapHtml(hours) {
+        const max = Math.max(1, ...hours.flat());
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const rows = hours.map((dayHours, day) => `
+            <div class="heatmap-label">${dayNames[day]}</div>
+            ${dayHours.map((seconds, hour) => `<div class="heatmap-cell" style="opacity: ${seconds > 0 ? (0.15 + 0.85 * seconds / max).toFixed(2) : 0.05};" title="${dayNames[day]} ${String(hour).padStart(2, '0')}:00 • ${escapeHTML(formatListeningTime(seconds))}"></div>`).join('')}`).join('');
+        const hourLabels = Array.from({ length: 24 }, (_, hour) => `<div class="heatmap-hour">${hour % 6 === 0 ? hour : ''}</div>`).join('');
+        return `<section class="content-section"><h2>When You Listen</h2><div class="heatmap">${rows}<div></div>${hourLabels}</div></section>`;
+    }
+
+    function getYearRecapHtml(events, year) {
+        const summary = summarizeListening(events);
+        if (events.length === 0) return `<p>Your ${year} recap will appear here once you start listening.</p>`;
+        const monthSeconds = new Array(12).fill(0);
+        events.forEach(event => { monthSeconds[new Date(event.timestamp).getMonth()] += event.secondsListened; });
+        const topMonth = monthSeconds.indexOf(Math.max(...monthSeconds));
+        const topTrack = summary.tracks[0];
+        const topArtist = summary.artists[0];
+        const topAlbum = summary.albums[0];
+        const highlights = [
+            topTrack && ['Song of the year', topTrack.song.title, `${topTrack.plays} plays`],
+            topArtist && ['Top artist', topArtist.name, `${formatListeningTime(topArtist.seconds)} together`],
+            topAlbum && ['Top album', topAlbum.name, topAlbum.artist],
+            ['Biggest month', new Date(year, topMonth, 1).toLocaleString(undefined, { month: 'long' }), formatListeningTime(monthSeconds[topMonth])]
+        ].filter(Boolean);
+        return `
+            <section class="content-section stats-recap">
+                <h2>Your ${year} in Music</h2>
+                ${getStatsCardsHtml([
+                    [Math.round(summary.totalSeconds / 60).toLocaleString(), 'Minutes listened'],
+                    [summary.tracks.length.toLocaleString(), 'Different songs'],
+                    [summary.artists.length.toLocaleString(), 'Artists'],
+                    [`${getLongestStreak(summary.days)} days`, 'Longest streak']
+                ])}
+                <div class="stats-highlights">${highlights.map(([label, value, detail]) => `
+                    <div class="stats-highlight">
+                        <div class="stats-card-label">${escapeHTML(label)}</div>
+                        <div class="stats-highlight-value">${escapeHTML(value)}</div>
+                        <div class="stats-card-label">${escapeHTML(detail || '')}</div>
+                    </div>`).join('')}
+                </div>
+            </section>
+            ${getTopTracksHtml(summary.tracks)}`;
+    }
+
+    async function loadStatsView() {
+        const tabsEl = document.getElementById('stats-tabs');
+        const contentEl = document.getElementById('stats-content');
+        const year = new Date().getFullYear();
+        const yearStart = new Date(year, 0, 1).getTime();
+        const events = await window.electronAPI.getListeningHistory(Math.min(yearStart, Date.now() - 365 * DAY_MS));
+
+        const renderPeriod = (period) => {
+            tabsEl.querySelectorAll('.search-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.period === period));
+            if (period === 'recap') {
+                contentEl.innerHTML = getYearRecapHtml(events.filter(event => event.timestamp >= yearStart), year);
+            } else {
+                const since = Date.now() - { week: 7, month: 30, year: 365 }[period] * DAY_MS;
+                const summary = summarizeListening(events.filter(event => event.timestamp >= since));
+                contentEl.innerHTML = summary.plays + summary.skips === 0
+                    ? '<p>No listening history for this period yet. Play some music!</p>'
+                    : getStatsCardsHtml([
+                        [formatListeningTime(summary.totalSeconds), 'Listening time'],
+                        [summary.plays.toLocaleString(), 'Plays'],
+                        [summary.tracks.length.toLocaleString(), 'Different songs'],
+                        [`${Math.round(100 * summary.skips / (summary.plays + summary.skips))}%`, 'Skipped']
+                    ]) + getTopTracksHtml(summary.tracks)
+                        + getTopListHtml('Top Artists', summary.artists, entry => [entry.name])
+                        + getTopListHtml('Top Albums', summary.albums, entry => [entry.name, entry.artist])
+                        + getHeatmapHtml(summary.hours);
+            }
+            attachItemClickListeners(contentEl, playSong);
+            setupImageObserver();
+            feather.replace();
         };
-        
-        mainView.querySelectorAll('.remove-song-btn').forEach(button => {
-            button.onclick = (e) => { e.stopPropagation(); removeSongFromPlaylist(playlistId, button.dataset.songId); };
-        });
 
-        attachItemClickListeners(mainView, (song) => playSong(song, playlist));
-        setupImageObserver();
-        feather.replace();
+        tabsEl.innerHTML = Object.entries(STATS_PERIODS).map(([period, label]) =>
+            `<button class="search-tab" data-period="${period}">${escapeHTML(period === 'recap' ? `Your ${year}` : label)}</button>`).join('');
+        tabsEl.querySelectorAll('.search-tab').forEach(tab => { tab.onclick = () => renderPeriod(tab.dataset.period); });
+        renderPeriod('week');
     }
-    
+
     // =========================================================================
-    // --- 6. Playback & Theme Logic ---
+    // --- 6g. Audio Effects ---
     // =========================================================================
 
-    async function updateDynamicTheme(imageUrl) {
-        if (!imageUrl || document.body.dataset.theme !== 'dynamic') return;
-        const img = new Image();
-        img.crossOrigin = "Anonymous";
-        img.src = imageUrl;
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            const ctx = canvas.getContext('2d', { willReadFrequently: true });
-            ctx.drawImage(img, 0, 0);
-            const { data } = ctx.getImageData(0, 0, img.width, img.height);
-            
-            let colorCounts = {};
-            let maxCount = 0;
-            let dominantColor = [0,0,0];
-
-            for (let i = 0; i < data.length; i += 4 * 5) {
-                let r = data[i];
-                let g = data[i + 1];
-                let b = data[i + 2];
-                if (r > 10 && g > 10 && b > 10 && Math.abs(r-g) > 5 && Math.abs(r-b) > 5 && Math.abs(g-b) > 5) {
-                    const key = `${r},${g},${b}`;
-                    colorCounts[key] = (colorCounts[key] || 0) + 1;
-                    if (colorCounts[key] > maxCount) {
-                        maxCount = colorCounts[key];
-                        dominantColor = [r,g,b];
-                    }
-                }
-            }
-            const [r, g, b] = dominantColor;
-            const accent = `rgb(${r}, ${g}, ${b})`;
-            const bg = `rgb(${Math.round(r*0.1)}, ${Math.round(g*0.1)}, ${Math.round(b*0.1)})`;
-            const bgMid = `rgb(${Math.round(r*0.2)}, ${Math.round(g*0.2)}, ${Math.round(b*0.2)})`;
-            
-            document.body.style.setProperty('--dynamic-accent', accent);
-            document.body.style.setProperty('--dynamic-accent-dark', `rgb(${Math.round(r*0.9)}, ${Math.round(g*0.9)}, ${Math.round(b*0.9)})`);
-            document.body.style.setProperty('--dynamic-bg', bg);
-            document.body.style.setProperty('--dynamic-bg-mid', bgMid);
-            document.body.style.setProperty('--dynamic-bg-end', bg);
-        };
+    /**
+     * Remote streams are loaded with CORS so the Web Audio graph can process them
+     * (main.js adds the header googlevideo leaves out). Library files play as they are.
+     */
+    function setPlayerSource(player, url) {
+        player.crossOrigin = url.startsWith('file:') ? null : 'anonymous';
+        player.src = url;
     }
 
-    async function playAudioAndUpdateUI(song, token) {
-        if (!song || !song.id) return;
+    /**
+     * Routes both audio elements through preamp → 10-band EQ → optional mono downmix → balance.
+     * An element can only be connected once, so the graph is built once and kept for good.
+     */
+    function setupAudioGraph() {
+        const context = new AudioContext();
+        const preamp = context.createGain();
+        const filters = EQ_BANDS.map((frequency, index) => {
+            const filter = context.createBiquadFilter();
+            filter.type = index === 0 ? 'lowshelf' : index === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+            filter.frequency.value = frequency;
+            filter.Q.value = 1.4;
+            return filter;
+        });
+        // A single explicit channel makes the browser sum left and right into one.
+        const monoMixer = context.createGain();
+        monoMixer.channelCount = 1;
+        monoMixer.channelCountMode = 'explicit';
+        monoMixer.channelInterpretation = 'speakers';
+        const panner = context.createStereoPanner();
 
-        if (token !== latestPlayRequestToken) {
-            console.log(`Cancelling stale play request for "${song.title}"`);
-            return;
-        }
+        [audioPlayer, standbyPlayer].forEach(player => context.createMediaElementSource(player).connect(preamp));
+        [preamp, ...filters].reduce((node, next) => node.connect(next));
+        monoMixer.connect(panner);
+        panner.connect(context.destination);
+        audioGraph = { context, preamp, filters, monoMixer, panner };
+    }
 
-        isSongLoading = true;
-        try {
-            loadingOverlay.style.display = 'block';
-            playerBar.classList.add('buffering');
+    function normalizeAudioSettings(settings) {
+        const merged = { ...DEFAULT_AUDIO_SETTINGS, ...settings };
+        if (!Array.isArray(merged.gains) || merged.gains.length !== EQ_BANDS.length) merged.gains = DEFAULT_AUDIO_SETTINGS.gains;
+        return merged;
+    }
 
-            const streamUrl = await window.electronAPI.getAudioStream(song.id);
-            
-            if (token !== latestPlayRequestToken) {
-                console.log(`Cancelling stale play request for "${song.title}" after fetch.`);
-                throw new Error("Stale request");
-            }
-            if (!streamUrl) throw new Error("Could not fetch stream URL");
+    /**
+     * Uses the song's own settings when it has them, otherwise the user's.
+     */
+    function loadAudioSettingsForSong(song) {
+        const songSettings = song ? getStoredValue('songAudioSettings', {})[song.id] : null;
+        audioSettings = normalizeAudioSettings(songSettings || getStoredValue('userAudioSettingsPref', {}));
+        applyAudioSettings();
+        if (document.getElementById('audio-settings-panel').style.display === 'block') renderAudioSettingsPanel();
+    }
 
-            queueManager.clearPrefetchedUrl();
-            audioPlayer.src = streamUrl;
-            await audioPlayer.play();
+    function hasSongAudioSettings(song) {
+        return !!song && song.id in getStoredValue('songAudioSettings', {});
+    }
 
-            const thumbnailUrl = song.thumbnails?.[0]?.url || 'assets/icons/default-art.png';
-            document.getElementById("player-thumbnail").src = thumbnailUrl;
-            document.getElementById("current-song-title").textContent = song.title;
-            document.getElementById("current-song-artist").textContent = (song.artists || []).join(', ');
-            document.getElementById("now-playing-info").style.display = "flex";
-            
-            updateRecentlyPlayed(song);
-            updateLikeButtonState();
-            updateDynamicTheme(thumbnailUrl.replace('w60-h60', 'w544-h544'));
-            queueManager.addToHistory(song.id);
-            queueManager.prefetchNext();
-            queueManager.fetchUpNext();
-        } catch (err) {
-            if (err.message !== "Stale request") {
-                console.error("Error playing stream:", err);
-                showNotification(err.message || "Could not play song.", 'error');
-            }
-        } finally {
-            isSongLoading = false;
-            loadingOverlay.style.display = 'none';
-            playerBar.classList.remove('buffering');
-        }
+    function applyAudioSettings() {
+        // Only the active element: during a crossfade the standby one is still playing the
+        // outgoing song, which keeps its own speed until it fades out.
+        audioPlayer.defaultPlaybackRate = audioSettings.rate;
+        audioPlayer.playbackRate = audioSettings.rate;
+        audioPlayer.preservesPitch = audioSettings.preservesPitch;
+        if (!audioGraph) return;
+        // Ramp instead of jumping so dragging a slider doesn't click.
+        const { context, preamp, filters, monoMixer, panner } = audioGraph;
+        const setParam = (param, value) => param.setTargetAtTime(value, context.currentTime, 0.02);
+        setParam(preamp.gain, Math.pow(10, audioSettings.preamp / 20));
+        filters.forEach((filter, index) => setParam(filter.gain, audioSettings.gains[index]));
+        setParam(panner.pan, audioSettings.balance);
+        const lastFilter = filters[filters.length - 1];
+        lastFilter.disconnect();
+        lastFilter.connect(audioSettings.mono ? monoMixer : panner);
     }
 
-    async function playSong(song, sourcePlaylist = null) {
-        if (!song || !song.id) return;
-        const currentItem = queueManager.getCurrentItem();
-        if (currentItem && audioPlayer.src && song.id === currentItem.id && audioPlayer.paused) {
-            return audioPlayer.play();
+    /**
+     * Changes the settings in effect and, when `persist` is set, saves them to the
+     * current song if it has its own settings, or to the user's otherwise.
+     */
+    function updateAudioSettings(changes, { persist = true } = {}) {
+        audioSettings = { ...audioSettings, ...changes };
+        applyAudioSettings();
+        if (!persist) return;
+        const song = queueManager.getCurrentItem();
+        if (hasSongAudioSettings(song)) {
+            setStoredValue('songAudioSettings', { ...getStoredValue('songAudioSettings', {}), [song.id]: audioSettings });
+        } else {
+            setStoredValue('userAudioSettingsPref', audioSettings);
         }
-        
-        const playToken = ++latestPlayRequestToken;
-        queueManager.setSongForPlayback(song, sourcePlaylist);
-        await playAudioAndUpdateUI(queueManager.getCurrentItem(), playToken);
     }
-    
-    async function playVideo(video) {
-        if (isVideoLoading) return;
-        isVideoLoading = true;
-        wasAudioPlayingBeforeVideo = !audioPlayer.paused;
-        if (wasAudioPlayingBeforeVideo) audioPlayer.pause();
-        videoPlayerContainer.style.display = 'flex';
-        try {
-            showNotification("Fetching video stream...");
-            const videoUrl = await window.electronAPI.getVideoStream(video.id);
-            if (isVideoLoading && videoUrl) {
-                videoPlayerContainer.classList.add('visible');
-                localVideoPlayer.src = videoUrl;
-                localVideoPlayer.play();
-            } else if (!videoUrl) {
-                showNotification("Could not fetch video URL.", 'error');
-                hideVideoPlayer(); 
-            }
-        } catch (error) {
-            showNotification("Error playing video.", 'error');
-            hideVideoPlayer();
-        }
+
+    function setSongAudioSettingsEnabled(enabled) {
+        const song = queueManager.getCurrentItem();
+        if (!song) return;
+        const songSettings = getStoredValue('songAudioSettings', {});
+        if (enabled) songSettings[song.id] = audioSettings;
+        else delete songSettings[song.id];
+        setStoredValue('songAudioSettings', songSettings);
+        loadAudioSettingsForSong(song);
     }
 
-    function togglePlayPause() {
-        if (videoPlayerContainer.classList.contains('visible')) return;
-        if (!audioPlayer.src) return;
-        if (audioPlayer.paused) audioPlayer.play();
-        else audioPlayer.pause();
+    function getEqPresetOptions() {
+        return [
+            ...Object.entries(EQ_PRESETS).map(([value, { label, gains }]) => ({ value, label, gains })),
+            ...getCustomEqPresets().map(({ name, gains }) => ({ value: `custom:${name}`, label: name, gains, isCustom: true }))
+        ];
     }
-    
-    function hideVideoPlayer() {
-        isClosingVideoPlayer = true;
-        if (isVideoLoading) {
-            window.electronAPI.cancelVideoStream();
-            isVideoLoading = false;
-        }
-        localVideoPlayer.pause();
-        localVideoPlayer.src = '';
-        videoPlayerContainer.classList.remove('visible');
-        setTimeout(() => videoPlayerContainer.style.display = 'none', 300);
-        if (wasAudioPlayingBeforeVideo) {
-            audioPlayer.play();
-            wasAudioPlayingBeforeVideo = false;
-        }
+
+    function formatFrequency(frequency) {
+        return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
     }
 
-    async function downloadSong() {
+    function formatBalance(balance) {
+        if (balance === 0) return 'Center';
+        return `${Math.round(Math.abs(balance) * 100)}% ${balance < 0 ? 'L' : 'R'}`;
+    }
+
+    function renderAudioSettingsPanel() {
+        const panel = document.getElementById('audio-settings-panel');
         const song = queueManager.getCurrentItem();
-        if (!song) return showNotification('No song is currently playing.', 'error');
-        try {
-            showNotification('Starting download...');
-            const filename = `${song.title} - ${(song.artists || []).join(', ')}`;
-            await window.electronAPI.downloadAudio(song.id, filename);
-            showNotification('Download complete!', 'success');
-        } catch (error) {
-            if (error.message !== 'User canceled.') showNotification('Download failed.', 'error');
+        const presets = getEqPresetOptions();
+        const isKnownPreset = presets.some(preset => preset.value === audioSettings.preset);
+        const selectedPreset = presets.find(preset => preset.value === audioSettings.preset);
+        const bandsHtml = EQ_BANDS.map((frequency, index) => `
+            <div class="eq-band">
+                <span class="eq-band-value" data-band-value="${index}">${audioSettings.gains[index] > 0 ? '+' : ''}${audioSettings.gains[index]}</span>
+                <input type="range" class="eq-band-slider" data-band="${index}" min="${-EQ_GAIN_LIMIT}" max="${EQ_GAIN_LIMIT}" step="0.5" value="${audioSettings.gains[index]}" />
+                <span class="eq-band-label">${formatFrequency(frequency)}</span>
+            </div>`).join('');
+
+        panel.innerHTML = `
+            <div class="audio-settings-header">
+                <h3>Audio</h3>
+                <button id="audio-reset-btn" class="audio-text-btn">Reset</button>
+            </div>
+            <div class="audio-settings-row">
+                <select id="eq-preset-select" class="styled-select">
+                    ${isKnownPreset ? '' : '<option value="custom" selected>Custom</option>'}
+                    ${presets.map(({ value, label }) => `<option value="${escapeHTML(value)}" ${value === audioSettings.preset ? 'selected' : ''}>${escapeHTML(label)}</option>`).join('')}
+                </select>
+                ${selectedPreset?.isCustom ? '<button id="eq-delete-preset-btn" class="audio-text-btn">Delete</button>' : ''}
+            </div>
+            <div class="eq-bands">${bandsHtml}</div>
+            <div class="audio-settings-row">
+                <input type="text" id="eq-preset-name" placeholder="Save as preset..." maxlength="40" />
+                <button id="eq-save-preset-btn" class="audio-text-btn">Save</button>
+            </div>
+            <div class="audio-settings-row">
+                <label for="preamp-slider">Preamp</label>
+                <input type="range" id="preamp-slider" min="${-EQ_GAIN_LIMIT}" max="${EQ_GAIN_LIMIT}" step="0.5" value="${audioSettings.preamp}" />
+                <span id="preamp-value" class="audio-settings-value">${audioSettings.preamp} dB</span>
+            </div>
+            <div class="audio-settings-row">
+                <label for="rate-slider">Speed</label>
+                <input type="range" id="rate-slider" min="0.5" max="2" step="0.05" value="${audioSettings.rate}" />
+                <span id="rate-value" class="audio-settings-value">${audioSettings.rate.toFixed(2)}×</span>
+            </div>
+            <label class="audio-settings-check"><input type="checkbox" id="preserve-pitch-check" ${audioSettings.preservesPitch ? 'checked' : ''} /> Keep pitch when changing speed</label>
+            <div class="audio-settings-row">
+                <label for="balance-slider">Balance</label>
+                <input type="range" id="balance-slider" min="-1" max="1" step="0.05" value="${audioSettings.balance}" />
+                <span id="balance-value" class="audio-settings-value">${formatBalance(audioSettings.balance)}</span>
+            </div>
+            <label class="audio-settings-check"><input type="checkbox" id="mono-check" ${audioSettings.mono ? 'checked' : ''} /> Mono</label>
+            <label class="audio-settings-check"><input type="checkbox" id="song-audio-check" ${hasSongAudioSettings(song) ? 'checked' : ''} ${song ? '' : 'disabled'} /> Use these settings only for ${song ? `"${escapeHTML(song.title)}"` : 'this song'}</label>`;
+
+        // Sliders apply while dragging and save once released.
+        const bindSlider = (slider, toChanges, updateLabel) => {
+            slider.oninput = () => { updateAudioSettings(toChanges(Number(slider.value)), { persist: false }); updateLabel?.(); };
+            slider.onchange = () => updateAudioSettings(toChanges(Number(slider.value)));
+        };
+        panel.querySelectorAll('.eq-band-slider').forEach(slider => {
+            const index = Number(slider.dataset.band);
+            bindSlider(slider, (value) => ({ preset: 'custom', gains: audioSettings.gains.map((gain, i) => i === index ? value : gain) }), () => {
+                const value = Number(slider.value);
+                panel.querySelector(`[data-band-value="${index}"]`).textContent = `${value > 0 ? '+' : ''}${value}`;
+            });
+            slider.addEventListener('change', () => {
+                // Moving a band turns the preset into "Custom".
+                if (!panel.querySelector('#eq-preset-select option[value="custom"]')) renderAudioSettingsPanel();
+            });
+        });
+        bindSlider(panel.querySelector('#preamp-slider'), (value) => ({ preamp: value }), () => {
+            panel.querySelector('#preamp-value').textContent = `${audioSettings.preamp} dB`;
+        });
+        bindSlider(panel.querySelector('#rate-slider'), (value) => ({ rate: value }), () => {
+            panel.querySelector('#rate-value').textContent = `${audioSettings.rate.toFixed(2)}×`;
+        });
+        bindSlider(panel.querySelector('#balance-slider'), (value) => ({ balance: value }), () => {
+            panel.querySelector('#balance-value').textContent = formatBalance(audioSettings.balance);
+        });
+        panel.querySelector('#preserve-pitch-check').onchange = (e) => updateAudioSettings({ preservesPitch: e.target.checked });
+        panel.querySelector('#mono-check').onchange = (e) => updateAudioSettings({ mono: e.target.checked });
+        panel.querySelector('#song-audio-check').onchange = (e) => setSongAudioSettingsEnabled(e.target.checked);
+
+        panel.querySelector('#eq-preset-select').onchange = (e) => {
+            const preset = getEqPresetOptions().find(option => option.value === e.target.value);
+            if (!preset) return;
+            updateAudioSettings({ preset: preset.value, gains: [...preset.gains] });
+            renderAudioSettingsPanel();
+        };
+        panel.querySelector('#eq-save-preset-btn').onclick = () => {
+            const name = panel.querySelector('#eq-preset-name').value.trim();
+            if (!name) return showNotification("Enter a name for the preset.", 'error');
+            const presets = getCustomEqPresets().filter(preset => preset.name !== name);
+            presets.push({ name, gains: [...audioSettings.gains] });
+            setStoredValue('userEqPresets', presets);
+            updateAudioSettings({ preset: `custom:${name}` });
+            showNotification(`Saved preset "${name}"`, 'success');
+            renderAudioSettingsPanel();
+        };
+        const deleteBtn = panel.querySelector('#eq-delete-preset-btn');
+        if (deleteBtn) deleteBtn.onclick = () => {
+            setStoredValue('userEqPresets', getCustomEqPresets().filter(preset => `custom:${preset.name}` !== audioSettings.preset));
+            updateAudioSettings({ preset: 'custom' });
+            renderAudioSettingsPanel();
+        };
+        panel.querySelector('#audio-reset-btn').onclick = () => {
+            updateAudioSettings({ ...DEFAULT_AUDIO_SETTINGS });
+            renderAudioSettingsPanel();
+        };
+    }
+
+    function toggleAudioSettingsPanel() {
+        const panel = document.getElementById('audio-settings-panel');
+        if (panel.style.display === 'block') {
+            panel.style.display = 'none';
+            return;
         }
+        renderAudioSettingsPanel();
+        panel.style.display = 'block';
     }
 
     // =========================================================================
@@ -795,12 +3412,22 @@ document.addEventListener('DOMContentLoaded', () => {
             this.upNextSongs = [];
             this.prefetchedUrl = null;
             this.prefetchedId = null;
+            this.prefetchingId = null;
+            this.prefetchRefreshTimer = null;
             this.playedHistory = [];
+            this.repeatMode = 'off'; // 'off' | 'all' | 'one'
+            this.isShuffled = false;
+            this.unshuffledQueue = []; // Original order, restored when shuffle is turned off
+            this.sourceContext = null; // The album/playlist the queue was started from
             this.queueListElement = document.getElementById('queue-list');
             this.upNextListElement = document.getElementById('up-next-list');
+            this.shuffleButton = document.getElementById('shuffle-btn');
+            this.repeatButton = document.getElementById('repeat-btn');
             
             document.getElementById('next-btn').onclick = () => this.next();
             document.getElementById('prev-btn').onclick = () => this.previous();
+            this.shuffleButton.onclick = () => this.toggleShuffle();
+            this.repeatButton.onclick = () => this.cycleRepeatMode();
             
             if (typeof Sortable !== 'undefined') {
                 Sortable.create(this.queueListElement, { animation: 150, ghostClass: 'ghost', onEnd: (evt) => this.reorderItem(evt.oldIndex, evt.newIndex) });
@@ -817,8 +3444,17 @@ document.addEventListener('DOMContentLoaded', () => {
         setSongForPlayback(song, sourcePlaylist) {
             if (sourcePlaylist) {
                 const tracklist = sourcePlaylist.tracks || sourcePlaylist.songs || [];
+                this.sourceContext = {
+                    id: sourcePlaylist.browseId || sourcePlaylist.id || null,
+                    type: sourcePlaylist.type || 'local-playlist',
+                    title: sourcePlaylist.title || sourcePlaylist.name || ''
+                };
                 this.songQueue = [...tracklist];
                 this.currentSongIndex = this.songQueue.findIndex(s => s.id === song.id);
+                if (this.isShuffled) {
+                    this.unshuffledQueue = [...this.songQueue];
+                    this.shuffleAroundCurrent();
+                }
             } else {
                 const existingIndex = this.songQueue.findIndex(s => s.id === song.id);
                 if (existingIndex !== -1) this.currentSongIndex = existingIndex;
@@ -830,6 +3466,14 @@ document.addEventListener('DOMContentLoaded', () => {
             this.renderQueue();
         }
 
+        playAtIndex(index) {
+            if (!this.songQueue[index]) return;
+            const playToken = ++latestPlayRequestToken;
+            this.currentSongIndex = index;
+            playAudioAndUpdateUI(this.songQueue[index], playToken);
+            this.renderQueue();
+        }
+
         addSongToQueue(song) {
             this.songQueue.push(song);
             this.renderQueue();
@@ -843,26 +3487,98 @@ document.addEventListener('DOMContentLoaded', () => {
             showNotification("Will play next");
         }
 
+        addSongsToQueue(songs) {
+            const wasEmpty = this.currentSongIndex === -1 && this.songQueue.length === 0;
+            this.songQueue.push(...songs);
+            this.renderQueue();
+            showNotification(`Added ${songs.length} songs to queue`);
+            if (wasEmpty) playSong(this.songQueue[0]);
+        }
+
+        addSongsToPlayNext(songs) {
+            this.songQueue.splice(this.currentSongIndex + 1, 0, ...songs);
+            this.renderQueue();
+            showNotification(`${songs.length} songs will play next`);
+        }
+
         getCurrentItem() { return this.songQueue[this.currentSongIndex] || null; }
 
-        playNextOrUpNext() {
+        getSessionState() {
+            return {
+                songQueue: this.songQueue,
+                currentSongIndex: this.currentSongIndex,
+                upNextSongs: this.upNextSongs,
+                sourceContext: this.sourceContext,
+                repeatMode: this.repeatMode,
+                isShuffled: this.isShuffled,
+                unshuffledQueue: this.unshuffledQueue
+            };
+        }
+
+        /**
+         * Restores a saved session without starting playback.
+         * @returns {object|null} The song that was current when the session was saved.
+         */
+        restoreSessionState(state) {
+            if (!state || !Array.isArray(state.songQueue)) return null;
+            this.songQueue = state.songQueue.filter(song => song && song.id);
+            this.currentSongIndex = Math.min(Number.isInteger(state.currentSongIndex) ? state.currentSongIndex : -1, this.songQueue.length - 1);
+            this.upNextSongs = Array.isArray(state.upNextSongs) ? state.upNextSongs : [];
+            this.sourceContext = state.sourceContext || null;
+            this.repeatMode = ['off', 'all', 'one'].includes(state.repeatMode) ? state.repeatMode : 'off';
+            this.isShuffled = !!state.isShuffled;
+            this.unshuffledQueue = Array.isArray(state.unshuffledQueue) ? state.unshuffledQueue : [];
+            this.updateModeButtons();
+            this.renderQueue();
+            this.renderUpNext();
+            return this.getCurrentItem();
+        }
+
+        /**
+         * Returns the queue index that should play after the current one,
+         * wrapping around when repeat-all is on, or -1 at the end of the queue.
+         */
+        getNextIndex() {
+            if (this.currentSongIndex < this.songQueue.length - 1) return this.currentSongIndex + 1;
+            if (this.repeatMode === 'all' && this.songQueue.length > 0) return 0;
+            return -1;
+        }
+
+        getNextItem() {
+            const nextIndex = this.getNextIndex();
+            if (nextIndex !== -1) return nextIndex !== this.currentSongIndex ? this.songQueue[nextIndex] : null;
+            return this.upNextSongs[0] || null;
+        }
+
+        handleTrackEnded() {
+            if (this.repeatMode === 'one' && this.getCurrentItem()) {
+                audioPlayer.currentTime = 0;
+                startListeningSession(this.getCurrentItem());
+                audioPlayer.play();
+                return;
+            }
+            this.playNextOrUpNext();
+        }
+
+        playNextOrUpNext(playOptions = {}) {
             const playToken = ++latestPlayRequestToken;
-            if (this.currentSongIndex < this.songQueue.length - 1) {
-                this.currentSongIndex++;
-                playAudioAndUpdateUI(this.songQueue[this.currentSongIndex], playToken);
+            const nextIndex = this.getNextIndex();
+            if (nextIndex !== -1) {
+                this.currentSongIndex = nextIndex;
+                playAudioAndUpdateUI(this.songQueue[this.currentSongIndex], playToken, 0, playOptions);
             } else if (this.upNextSongs.length > 0) {
                 const nextSongToPlay = this.upNextSongs.shift();
                 this.renderUpNext();
                 this.songQueue.push(nextSongToPlay);
                 this.currentSongIndex++;
-                playAudioAndUpdateUI(nextSongToPlay, playToken);
+                playAudioAndUpdateUI(nextSongToPlay, playToken, 0, playOptions);
             } else {
                 audioPlayer.pause();
             }
             this.renderQueue();
         }
 
-        next() { this.playNextOrUpNext(); }
+        next(playOptions) { this.playNextOrUpNext(playOptions); }
 
         previous() {
             if (this.songQueue.length === 0) return;
@@ -870,13 +3586,71 @@ document.addEventListener('DOMContentLoaded', () => {
                 audioPlayer.currentTime = 0;
                 return;
             }
-            if (this.currentSongIndex > 0) {
-                 this.currentSongIndex--;
+            let previousIndex = this.currentSongIndex - 1;
+            if (previousIndex < 0 && this.repeatMode === 'all') previousIndex = this.songQueue.length - 1;
+            if (previousIndex >= 0 && previousIndex !== this.currentSongIndex) {
+                 this.currentSongIndex = previousIndex;
                  const playToken = ++latestPlayRequestToken;
                  playAudioAndUpdateUI(this.songQueue[this.currentSongIndex], playToken);
                  this.renderQueue();
             }
         }
+
+        cycleRepeatMode() {
+            const modes = ['off', 'all', 'one'];
+            this.repeatMode = modes[(modes.indexOf(this.repeatMode) + 1) % modes.length];
+            const labels = { off: 'Repeat off', all: 'Repeat all', one: 'Repeat one' };
+            showNotification(labels[this.repeatMode]);
+            this.updateModeButtons();
+            this.prefetchNext();
+            saveSession();
+        }
+
+        toggleShuffle() {
+            this.isShuffled = !this.isShuffled;
+            if (this.isShuffled) {
+                this.unshuffledQueue = [...this.songQueue];
+                this.shuffleAroundCurrent();
+                showNotification('Shuffle on');
+            } else {
+                this.restoreUnshuffledOrder();
+                showNotification('Shuffle off');
+            }
+            this.updateModeButtons();
+            this.renderQueue();
+            this.prefetchNext();
+        }
+
+        /**
+         * Shuffles every queue entry except the current song, which keeps its position.
+         */
+        shuffleAroundCurrent() {
+            const current = this.getCurrentItem();
+            const others = shuffleArray(this.songQueue.filter((_, i) => i !== this.currentSongIndex));
+            if (current) others.splice(this.currentSongIndex, 0, current);
+            this.songQueue = others;
+        }
+
+        /**
+         * Puts the queue back in its pre-shuffle order. Songs removed while shuffled
+         * stay removed, and songs added while shuffled are kept at the end.
+         */
+        restoreUnshuffledOrder() {
+            const currentSongId = this.getCurrentItem()?.id;
+            const queuedIds = new Set(this.songQueue.map(s => s.id));
+            const restored = this.unshuffledQueue.filter(s => queuedIds.has(s.id));
+            const restoredIds = new Set(restored.map(s => s.id));
+            this.songQueue = [...restored, ...this.songQueue.filter(s => !restoredIds.has(s.id))];
+            this.unshuffledQueue = [];
+            if (currentSongId) this.currentSongIndex = this.songQueue.findIndex(s => s.id === currentSongId);
+        }
+
+        updateModeButtons() {
+            this.shuffleButton.classList.toggle('active', this.isShuffled);
+            this.repeatButton.classList.toggle('active', this.repeatMode !== 'off');
+            this.repeatButton.classList.toggle('repeat-one', this.repeatMode === 'one');
+            this.repeatButton.title = { off: 'Repeat', all: 'Repeat All', one: 'Repeat One' }[this.repeatMode];
+        }
         
         removeItem(index) {
             if (index < 0 || index >= this.songQueue.length) return;
@@ -894,6 +3668,22 @@ document.addEventListener('DOMContentLoaded', () => {
             this.renderQueue();
         }
 
+        removeItems(indexes) {
+            const toRemove = new Set(indexes.filter(index => index >= 0 && index < this.songQueue.length));
+            if (toRemove.size === 0) return;
+            const isRemovingCurrent = toRemove.has(this.currentSongIndex);
+            const removedBeforeCurrent = [...toRemove].filter(index => index < this.currentSongIndex).length;
+
+            this.songQueue = this.songQueue.filter((_, index) => !toRemove.has(index));
+            this.currentSongIndex -= removedBeforeCurrent;
+
+            if (isRemovingCurrent) {
+                this.currentSongIndex--;
+                this.playNextOrUpNext();
+            }
+            this.renderQueue();
+        }
+
         reorderItem(oldIndex, newIndex) {
             if (oldIndex === newIndex) return;
             const currentSongId = this.getCurrentItem()?.id;
@@ -903,20 +3693,56 @@ document.addEventListener('DOMContentLoaded', () => {
             this.renderQueue();
         }
 
-        async prefetchNext() {
+        /**
+         * Resolves the next track's stream URL ahead of time and, with gapless or
+         * crossfade on, buffers it in the standby player. Does nothing if the next
+         * track is already prefetched (or being prefetched) unless `force` is set.
+         */
+        async prefetchNext(force = false) {
+            const nextSong = this.getNextItem();
+            if (!nextSong) return this.clearPrefetchedUrl();
+            const isAlreadyPrefetched = nextSong.id === this.prefetchedId && !isStreamUrlExpired(this.prefetchedUrl);
+            if (!force && (nextSong.id === this.prefetchingId || isAlreadyPrefetched)) return;
+
             this.clearPrefetchedUrl();
-            const nextIndex = this.currentSongIndex + 1;
-            if (nextIndex < this.songQueue.length) {
-                const nextSong = this.songQueue[nextIndex];
-                try {
-                    this.prefetchedUrl = await window.electronAPI.getAudioStream(nextSong.id);
-                    this.prefetchedId = nextSong.id;
-                } catch (e) { this.clearPrefetchedUrl(); }
+            this.prefetchingId = nextSong.id;
+            try {
+                const url = await window.electronAPI.getAudioStream(nextSong.id);
+                if (this.prefetchingId !== nextSong.id || !url) return;
+                this.prefetchedUrl = url;
+                this.prefetchedId = nextSong.id;
+                preloadStandbyPlayer(nextSong.id, url);
+                this.schedulePrefetchRefresh(url);
+            } catch (e) {
+                this.clearPrefetchedUrl();
+            } finally {
+                if (this.prefetchingId === nextSong.id) this.prefetchingId = null;
             }
         }
 
-        getPrefetchedUrl(songId) { return (this.prefetchedId === songId) ? this.prefetchedUrl : null; }
-        clearPrefetchedUrl() { this.prefetchedUrl = null; this.prefetchedId = null; }
+        /**
+         * Re-resolves the prefetched URL shortly before googlevideo expires it.
+         */
+        schedulePrefetchRefresh(url) {
+            clearTimeout(this.prefetchRefreshTimer);
+            const expiresAt = getStreamExpiry(url);
+            if (!expiresAt) return;
+            const delay = Math.max(expiresAt - Date.now() - STREAM_EXPIRY_MARGIN_MS, 60 * 1000);
+            this.prefetchRefreshTimer = setTimeout(() => this.prefetchNext(true), delay);
+        }
+
+        getPrefetchedUrl(songId) {
+            return (this.prefetchedId === songId && !isStreamUrlExpired(this.prefetchedUrl)) ? this.prefetchedUrl : null;
+        }
+
+        releasePrefetchedUrl(songId) { if (this.prefetchedId === songId) this.clearPrefetchedUrl(); }
+
+        clearPrefetchedUrl() {
+            clearTimeout(this.prefetchRefreshTimer);
+            this.prefetchedUrl = null;
+            this.prefetchedId = null;
+            this.prefetchingId = null;
+        }
         
         async fetchUpNext() {
             const currentSong = this.getCurrentItem();
@@ -942,6 +3768,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
         renderQueue() {
             if (!this.queueListElement) return;
+            saveSession();
+            if (audioPlayer.src) this.prefetchNext();
             this.queueListElement.innerHTML = this.songQueue.length === 0
                 ? `<li class="queue-empty-message">Queue is empty</li>`
                 : this.songQueue.map((item, i) => `
@@ -957,12 +3785,7 @@ document.addEventListener('DOMContentLoaded', () => {
             this.queueListElement.querySelectorAll('.queue-item').forEach(item => {
                 const index = parseInt(item.dataset.index, 10);
                 item.addEventListener('click', (e) => {
-                    if (!e.target.closest('.queue-item-remove')) {
-                        const playToken = ++latestPlayRequestToken;
-                        this.currentSongIndex = index;
-                        playAudioAndUpdateUI(this.songQueue[index], playToken);
-                        this.renderQueue();
-                    }
+                    if (!e.target.closest('.queue-item-remove')) this.playAtIndex(index);
                 });
 
                 const removeBtn = item.querySelector('.queue-item-remove');
@@ -997,6 +3820,8 @@ document.addEventListener('DOMContentLoaded', () => {
             } else {
                 container.style.display = 'none';
             }
+            saveSession();
+            if (audioPlayer.src) this.prefetchNext();
         }
 
         playFromUpNext(index) {
@@ -1046,7 +3871,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const menu = document.getElementById('context-menu');
         
         const playlistSubmenu = document.getElementById('context-menu-playlists');
-        const playlists = getPlaylists();
+        const playlists = getEditablePlaylists();
         if (playlists.length > 0) {
             playlistSubmenu.innerHTML = playlists.map(p => `<li data-id="${p.id}"><a>${escapeHTML(p.name)}</a></li>`).join('');
             playlistSubmenu.querySelectorAll('li').forEach(item => {
@@ -1080,6 +3905,145 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function handleLoadedMetadata() {
+        if (!isNaN(audioPlayer.duration)) durationDisplay.textContent = formatTime(audioPlayer.duration);
+    }
+
+    /**
+     * Attaches the playback handlers to the active audio element only, so the
+     * standby element can buffer (or fade out) without driving the UI.
+     */
+    function bindAudioPlayerEvents() {
+        standbyPlayer.ontimeupdate = standbyPlayer.onloadedmetadata = standbyPlayer.onended = null;
+        standbyPlayer.onplay = standbyPlayer.onpause = standbyPlayer.onseeked = null;
+        standbyPlayer.onerror = standbyPlayer.onstalled = standbyPlayer.onwaiting = standbyPlayer.onplaying = null;
+
+        audioPlayer.ontimeupdate = () => {
+            trackListeningTime();
+            if (isNaN(audioPlayer.duration)) return;
+            const progress = (audioPlayer.currentTime / audioPlayer.duration) * 100;
+            progressBar.value = isNaN(progress) ? 0 : progress;
+            currentTimeDisplay.textContent = formatTime(audioPlayer.currentTime);
+            if (Date.now() - lastSessionSaveTime > 5000) saveSession();
+            if (Date.now() - lastMediaStatePublishTime > 1000) publishMediaState();
+            maybeStartCrossfade();
+            syncLyrics();
+        };
+        audioPlayer.onloadedmetadata = handleLoadedMetadata;
+        audioPlayer.onended = () => {
+            finishListeningSession({ reachedEnd: true });
+            queueManager.handleTrackEnded();
+        };
+        audioPlayer.onplay = () => { playPauseBtn.classList.add('playing'); publishMediaState(); audioGraph?.context.resume(); };
+        audioPlayer.onpause = () => { playPauseBtn.classList.remove('playing'); saveSession(); publishMediaState(); };
+        audioPlayer.onseeked = () => { publishMediaState(); syncLyrics(); if (listeningSession) listeningSession.lastPosition = audioPlayer.currentTime; };
+        audioPlayer.onerror = handleAudioError;
+        audioPlayer.onstalled = audioPlayer.onwaiting = watchForStall;
+        audioPlayer.onplaying = () => { clearTimeout(stallTimer); stallTimer = null; };
+    }
+
+    // --- Keyboard Shortcuts ---
+
+    /**
+     * Turns a keydown event into a combo string like 'Ctrl+Shift+L'. Letters and digits
+     * come from the physical key, so Shift doesn't change them. Returns null for a lone modifier.
+     */
+    function getKeyCombo(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+        let key = e.key;
+        if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+        else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+        else if (key === ' ') key = 'Space';
+        else if (key.length === 1) key = key.toUpperCase();
+        const modifiers = [e.ctrlKey && 'Ctrl', e.metaKey && 'Meta', e.altKey && 'Alt', e.shiftKey && 'Shift'].filter(Boolean);
+        return [...modifiers, key].join('+');
+    }
+
+    function formatKeyCombo(combo) {
+        const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        return combo.split(/\+(?!$)/).map(key => arrows[key] || key).join(' + ');
+    }
+
+    function isTypingTarget(element) {
+        if (!element) return false;
+        if (element.isContentEditable || element.matches('textarea, select')) return true;
+        return element.matches('input') && !['range', 'checkbox', 'radio', 'button'].includes(element.type);
+    }
+
+    function runShortcutAction(action) {
+        const position = restoredPlaybackPosition ?? audioPlayer.currentTime;
+        switch (action) {
+            case 'play-pause': togglePlayPause(); break;
+            case 'next': queueManager.next(); break;
+            case 'previous': queueManager.previous(); break;
+            case 'seek-forward': seekTo(position + 5); break;
+            case 'seek-backward': seekTo(position - 5); break;
+            case 'volume-up':
+            case 'volume-down':
+                volumeSlider.value = Math.max(0, Math.min(1, Number(volumeSlider.value) + (action === 'volume-up' ? 0.05 : -0.05)));
+                volumeSlider.dispatchEvent(new Event('input'));
+                break;
+            case 'like': toggleLikeSong(); break;
+            case 'focus-search': searchInput.focus(); searchInput.select(); break;
+            case 'view-home': loadView('home'); break;
+            case 'view-explore': loadView('explore'); break;
+            case 'view-playlists': loadView('playlists'); break;
+            case 'view-settings': loadView('settings'); break;
+            case 'open-queue': showRightPane('queue'); break;
+            case 'back': goBack(); break;
+            case 'forward': goForward(); break;
+            case 'command-palette': toggleCommandPalette(); break;
+            case 'select-all': selectAllSongs(); break;
+            case 'clear-selection': clearSelection(); break;
+        }
+    }
+
+    /**
+     * Rebinds the shortcut being recorded in settings. Escape cancels, Backspace or
+     * Delete removes the shortcut, and a combo that's already in use is rejected.
+     */
+    function recordShortcut(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        const action = recordingShortcutAction;
+        const combo = getKeyCombo(e);
+        if (!combo) return; // Wait for the rest of the combo
+        if (combo === 'Escape') {
+            recordingShortcutAction = null;
+        } else if (combo === 'Backspace' || combo === 'Delete') {
+            keymap[action] = '';
+            recordingShortcutAction = null;
+            saveKeymap();
+        } else {
+            const conflict = Object.keys(keymap).find(other => other !== action && keymap[other] === combo);
+            if (conflict) {
+                showNotification(`${formatKeyCombo(combo)} is already used by "${SHORTCUT_ACTIONS[conflict].label}".`, 'error');
+                return;
+            }
+            keymap[action] = combo;
+            recordingShortcutAction = null;
+            saveKeymap();
+        }
+        renderKeymapEditor();
+    }
+
+    function handleShortcutKeydown(e) {
+        if (recordingShortcutAction) {
+            if (document.getElementById('keymap-list')) return recordShortcut(e);
+            recordingShortcutAction = null; // The settings view was closed mid-recording
+        }
+        const combo = getKeyCombo(e);
+        const action = combo && Object.keys(keymap).find(name => keymap[name] === combo);
+        if (!action) return;
+        // The palette can be opened from a text field as long as its shortcut can't be typed.
+        const canOpenPaletteHere = action === 'command-palette' && /^(Ctrl|Meta|Alt)\+/.test(combo);
+        if (isTypingTarget(e.target) && !canOpenPaletteHere) return;
+        if (document.getElementById('create-playlist-modal').style.display === 'flex') return;
+        e.preventDefault();
+        if (e.repeat && !SHORTCUT_ACTIONS[action].repeat) return;
+        runShortcutAction(action);
+    }
+
     function setupEventListeners() {
         minimizeBtn.onclick = () => window.electronAPI.minimizeWindow();
         maximizeBtn.onclick = () => window.electronAPI.maximizeWindow();
@@ -1095,9 +4059,19 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('nav-home').onclick = () => loadView('home');
         document.getElementById('nav-explore').onclick = () => loadView('explore');
         document.getElementById('nav-playlists').onclick = () => loadView('playlists');
+        document.getElementById('nav-downloads').onclick = () => loadView('downloads');
+        document.getElementById('nav-stats').onclick = () => loadView('stats');
         document.getElementById('nav-settings').onclick = () => loadView('settings');
 
+        document.querySelectorAll('.pane-tab').forEach(tab => { tab.onclick = () => showRightPane(tab.dataset.pane); });
+        document.getElementById('lyrics-list').onclick = (e) => {
+            const line = e.target.closest('.lyrics-line');
+            const synced = lyricsState.lyrics?.synced;
+            if (line && synced) seekTo(synced[Number(line.dataset.index)].time);
+        };
+
         document.getElementById('context-menu-add-queue').onclick = () => { if (contextMenuSong) queueManager.addSongToQueue(contextMenuSong); };
+        document.getElementById('context-menu-download').onclick = () => { if (contextMenuSong) downloadSongs([contextMenuSong]); };
         document.getElementById('context-menu-add-favorite').onclick = () => { if (contextMenuSong) addSongToFavorites(contextMenuSong); };
 
         const createPlaylistModal = document.getElementById('create-playlist-modal');
@@ -1113,7 +4087,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!currentSong) return showNotification("No song is playing.", 'error');
             const menu = document.getElementById('player-playlist-menu');
             const listEl = document.getElementById('player-playlist-menu-list');
-            const playlists = getPlaylists();
+            const playlists = getEditablePlaylists();
             listEl.innerHTML = playlists.length > 0
                 ? playlists.map(p => `<li data-playlist-id="${escapeHTML(p.id)}"><a>${escapeHTML(p.name)}</a></li>`).join('')
                 : `<li><a>Create a playlist first</a></li>`;
@@ -1123,6 +4097,9 @@ document.addEventListener('DOMContentLoaded', () => {
             menu.style.display = menu.style.display === 'block' ? 'none' : 'block';
         };
 
+        document.addEventListener('keydown', handleShortcutKeydown);
+        setupCommandPalette();
+        setupSelection();
         searchForm.onsubmit = (e) => { e.preventDefault(); const query = searchInput.value.trim(); if (query) performSearch(query); };
         let suggestionTimeout;
         searchInput.oninput = () => {
@@ -1159,29 +4136,32 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!searchForm.contains(e.target)) searchSuggestions.style.display = 'none';
             if (!e.target.closest('#context-menu')) document.getElementById('context-menu').style.display = 'none';
             if (!e.target.closest('#add-to-playlist-btn') && !e.target.closest('#player-playlist-menu')) document.getElementById('player-playlist-menu').style.display = 'none';
+            if (!e.target.closest('#selection-playlist-menu')) document.getElementById('selection-playlist-menu').style.display = 'none';
+            if (!e.target.closest('#playlist-export-menu')) document.getElementById('playlist-export-menu').style.display = 'none';
+            if (!e.target.closest('#audio-settings-btn') && !e.target.closest('#audio-settings-panel')) document.getElementById('audio-settings-panel').style.display = 'none';
         });
 
         playPauseBtn.onclick = togglePlayPause;
-        volumeSlider.oninput = () => (audioPlayer.volume = volumeSlider.value);
-        progressBar.oninput = () => { if (!isNaN(audioPlayer.duration)) audioPlayer.currentTime = (progressBar.value / 100) * audioPlayer.duration; };
+        volumeSlider.oninput = () => { audioPlayer.volume = volumeSlider.value; saveSession(); };
+        progressBar.oninput = () => {
+            const duration = isNaN(audioPlayer.duration) ? (queueManager.getCurrentItem()?.duration || 0) : audioPlayer.duration;
+            seekTo((progressBar.value / 100) * duration);
+        };
         likeBtn.onclick = toggleLikeSong;
         downloadBtn.onclick = downloadSong;
+        document.getElementById('audio-settings-btn').onclick = toggleAudioSettingsPanel;
+        document.getElementById('mini-player-btn').onclick = () => window.electronAPI.showMiniPlayer();
         document.getElementById('video-btn').onclick = () => {
             const item = queueManager.getCurrentItem();
             if(item && item.id) playVideo(item); else showNotification("No song selected to play video.", "error");
         };
         videoCloseBtn.onclick = hideVideoPlayer;
 
-        audioPlayer.ontimeupdate = () => {
-            if (isNaN(audioPlayer.duration)) return;
-            const progress = (audioPlayer.currentTime / audioPlayer.duration) * 100;
-            progressBar.value = isNaN(progress) ? 0 : progress;
-            currentTimeDisplay.textContent = formatTime(audioPlayer.currentTime);
-        };
-        audioPlayer.onloadedmetadata = () => { durationDisplay.textContent = formatTime(audioPlayer.duration); };
-        audioPlayer.onended = () => queueManager.playNextOrUpNext();
-        audioPlayer.onplay = () => playPauseBtn.classList.add('playing');
-        audioPlayer.onpause = () => playPauseBtn.classList.remove('playing');
+        bindAudioPlayerEvents();
+        setupMediaSession();
+        window.electronAPI.onDownloadProgress(handleDownloadProgress);
+        window.addEventListener('beforeunload', saveSession);
+        window.addEventListener('beforeunload', () => finishListeningSession({ isClosing: true }));
         
         localVideoPlayer.onloadeddata = () => { isVideoLoading = false; };
         localVideoPlayer.onerror = () => {
@@ -1194,9 +4174,13 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- 9. App Initialization ---
     // =========================================================================
     
-    function initialize() {
+    async function initialize() {
+        await loadUserData();
         loadPreferences();
+        setupAudioGraph();
+        loadAudioSettingsForSong(null);
         setupEventListeners();
+        restoreSession();
         loadView('home');
         if (historyStack.length === 0) {
             pushState({ type: 'view', payload: { viewName: 'home' } });
@@ -1204,5 +4188,10 @@ document.addEventListener('DOMContentLoaded', () => {
         feather.replace();
     }
 
-    initialize();
+    // Anything after a failed step never ran, so say so instead of leaving a half-built window.
+    initialize().catch(error => {
+        console.error("Failed to start the app:", error);
+        mainView.innerHTML = '<p style="padding: 20px;">MetroWave could not start. Restart the app to try again.</p>';
+        showNotification(`Startup failed: ${error.message}`, 'error', 8000);
+    });
 });
\ No newline at end of file